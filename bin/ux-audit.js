@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+// Command-line runner for CI: audits a URL with runUXAudit / runLighthouse directly
+// (no server needed) and exits non-zero when scores fall below the given thresholds.
+//
+// Exit codes: 0 - all thresholds met, 1 - a threshold was violated, 2 - usage or audit error
+
+const fs = require('fs');
+const { runUXAudit, listChecks, resolveDevices } = require('../utils/ux-audit');
+const { runLighthouse, normalizeLighthouseOptions } = require('../utils/audit');
+const { closePool } = require('../utils/browser-pool');
+const { resolveLang } = require('../utils/i18n');
+const { normalizeAuth } = require('../utils/auth');
+const { resolveProfile } = require('../utils/scoring');
+
+const TYPES = ['ux', 'lighthouse', 'all'];
+const PLATFORMS = ['web', 'mobile'];
+const LIGHTHOUSE_CATEGORIES = {
+  performance: 'performance',
+  accessibility: 'accessibility',
+  'best-practices': 'bestPractices',
+  bestPractices: 'bestPractices',
+  seo: 'seo'
+};
+
+const USAGE = `Usage: ux-audit <url> [options]
+
+Options:
+  --type <ux|lighthouse|all>   What to run (default: ux)
+  --lang <ru|en>               Report language (default: ru)
+  --platform <web|mobile>      Viewport to audit in (default: web)
+  --checks <id,...>            Run only these UX checks
+  --exclude <id,...>           Skip these UX checks
+  --devices <name,...>         Run the UX checks once per device: Puppeteer device
+                               names ("iPhone 15 Pro"), web, mobile or WxH
+                               breakpoints (768x1024); overrides --platform
+  --profile <name|file.json>   Scoring profile for UX criteria (default, strict,
+                               legacy) or a profile JSON file (see README)
+  --throttling <none|4g|slow-3g>
+                               Lighthouse network/CPU throttling (default: 4g)
+  --categories <name,...>      Run only these Lighthouse categories
+  --cookie <name>=<value>      Cookie for the audited site; repeatable
+  --header "<Name>: <value>"   Extra HTTP header; repeatable
+  --basic-auth <user>:<pass>   HTTP basic auth credentials
+  --auth <file.json>           Auth options as JSON: cookies, headers, basicAuth
+                               and a login recipe (see README)
+  --min-score <n>              Minimum score for every UX criterion and Lighthouse category
+  --threshold <key>=<n>        Minimum score for one criterion or category; repeatable.
+                               Keys: a UX check id, a Lighthouse category
+                               (performance, accessibility, best-practices, seo),
+                               "ux" for the overall UX score. Prefix with "ux." or
+                               "lighthouse." when a name exists in both.
+  --json                       Print the results and threshold report as JSON
+  --verbose                    Show audit logs
+  -h, --help                   Show this help`;
+
+class UsageError extends Error {}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseScore(value, name) {
+  const score = Number(value);
+  if (value === '' || isNaN(score) || score < 0 || score > 100) {
+    throw new UsageError(`${name} must be a number between 0 and 100`);
+  }
+  return score;
+}
+
+function parseArgs(argv) {
+  const options = {
+    type: 'ux',
+    lang: 'ru',
+    platform: 'web',
+    checks: [],
+    exclude: [],
+    devices: [],
+    profile: undefined,
+    throttling: undefined,
+    categories: [],
+    authFile: null,
+    cookies: [],
+    headers: {},
+    basicAuth: null,
+    minScore: null,
+    thresholds: [],
+    json: false,
+    verbose: false,
+    help: false
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    // Accept both "--key value" and "--key=value"
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    if (eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--type': options.type = takeValue(); break;
+      case '--lang': options.lang = takeValue(); break;
+      case '--platform': options.platform = takeValue(); break;
+      case '--checks': options.checks.push(...parseList(takeValue())); break;
+      case '--exclude': options.exclude.push(...parseList(takeValue())); break;
+      case '--devices': options.devices.push(...parseList(takeValue())); break;
+      case '--profile': options.profile = takeValue(); break;
+      case '--throttling': options.throttling = takeValue(); break;
+      case '--categories': options.categories.push(...parseList(takeValue())); break;
+      case '--auth': options.authFile = takeValue(); break;
+      case '--cookie': {
+        const item = takeValue();
+        const eqIndex = item.indexOf('=');
+        if (eqIndex < 1) throw new UsageError('--cookie expects <name>=<value>');
+        options.cookies.push({ name: item.slice(0, eqIndex), value: item.slice(eqIndex + 1) });
+        break;
+      }
+      case '--header': {
+        const item = takeValue();
+        const colon = item.indexOf(':');
+        if (colon < 1) throw new UsageError('--header expects "<Name>: <value>"');
+        options.headers[item.slice(0, colon).trim()] = item.slice(colon + 1).trim();
+        break;
+      }
+      case '--basic-auth': {
+        const item = takeValue();
+        const colon = item.indexOf(':');
+        if (colon < 1) throw new UsageError('--basic-auth expects <user>:<password>');
+        options.basicAuth = { username: item.slice(0, colon), password: item.slice(colon + 1) };
+        break;
+      }
+      case '--min-score': options.minScore = parseScore(takeValue(), '--min-score'); break;
+      case '--threshold':
+        parseList(takeValue()).forEach(item => {
+          const match = item.match(/^([\w.-]+)=(.*)$/);
+          if (!match) throw new UsageError(`Invalid threshold "${item}", expected <key>=<score>`);
+          options.thresholds.push({ key: match[1], min: parseScore(match[2], `Threshold ${match[1]}`) });
+        });
+        break;
+      case '--json': options.json = true; break;
+      case '--verbose': options.verbose = true; break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+  if (positional.length !== 1) throw new UsageError('Expected exactly one URL');
+  options.url = positional[0];
+  if (!TYPES.includes(options.type)) throw new UsageError(`--type must be one of: ${TYPES.join(', ')}`);
+  if (!PLATFORMS.includes(options.platform)) throw new UsageError(`--platform must be one of: ${PLATFORMS.join(', ')}`);
+  try {
+    resolveDevices(options.devices);
+  } catch (err) {
+    throw new UsageError(`--devices: ${err.message}`);
+  }
+  try {
+    options.lighthouse = normalizeLighthouseOptions({
+      platform: options.platform,
+      throttling: options.throttling,
+      categories: options.categories
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  options.auth = buildAuth(options);
+  options.profile = buildProfile(options.profile);
+  return options;
+}
+
+// --profile is a profile name or the path of a profile JSON file
+function buildProfile(value) {
+  let profile = value;
+  if (value && value.endsWith('.json')) {
+    try {
+      profile = JSON.parse(fs.readFileSync(value, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Could not read --profile file: ${err.message}`);
+    }
+  }
+  try {
+    return resolveProfile(profile);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+// Auth options from --auth <file> with --cookie / --header / --basic-auth on top
+function buildAuth(options) {
+  let auth = {};
+  if (options.authFile) {
+    try {
+      auth = JSON.parse(fs.readFileSync(options.authFile, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Could not read --auth file: ${err.message}`);
+    }
+  }
+  if (options.cookies.length > 0) auth.cookies = [...(auth.cookies || []), ...options.cookies];
+  if (Object.keys(options.headers).length > 0) auth.headers = { ...auth.headers, ...options.headers };
+  if (options.basicAuth) auth.basicAuth = options.basicAuth;
+
+  try {
+    return normalizeAuth(auth);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+// Turn --min-score / --threshold into concrete rules: { scope: 'ux' | 'lighthouse', id, min, implicit }.
+// id null with scope 'ux' means the overall UX score. --min-score rules are implicit: they only
+// cover what runs, while a --threshold for something that won't run is a usage error.
+function buildRules(options) {
+  const runUX = options.type !== 'lighthouse';
+  const runLH = options.type !== 'ux';
+  const uxIds = listChecks().map(check => check.id);
+  const uxRuns = id => runUX && (options.checks.length === 0 || options.checks.includes(id)) && !options.exclude.includes(id);
+  const lighthouseRuns = id => runLH && options.lighthouse.categories.includes(id === 'bestPractices' ? 'best-practices' : id);
+  const rules = new Map();
+  const addRule = (scope, id, min, implicit = false) => rules.set(`${scope}:${id}`, { scope, id, min, implicit });
+
+  if (options.minScore !== null) {
+    uxIds.filter(uxRuns).forEach(id => addRule('ux', id, options.minScore, true));
+    new Set(Object.values(LIGHTHOUSE_CATEGORIES)).forEach(id => {
+      if (lighthouseRuns(id)) addRule('lighthouse', id, options.minScore, true);
+    });
+  }
+
+  options.thresholds.forEach(({ key, min }) => {
+    const [prefix, ...rest] = key.split('.');
+    const scoped = (prefix === 'ux' || prefix === 'lighthouse') && rest.length > 0;
+    const name = scoped ? rest.join('.') : key;
+    // Everything the key can refer to, and whether it runs
+    const targets = [];
+
+    if (key === 'ux') {
+      targets.push({ scope: 'ux', id: null, runs: runUX });
+    }
+    if ((!scoped || prefix === 'ux') && uxIds.includes(name)) {
+      targets.push({ scope: 'ux', id: name, runs: uxRuns(name) });
+    }
+    if ((!scoped || prefix === 'lighthouse') && LIGHTHOUSE_CATEGORIES[name]) {
+      const id = LIGHTHOUSE_CATEGORIES[name];
+      targets.push({ scope: 'lighthouse', id, runs: lighthouseRuns(id) });
+    }
+    if (targets.length === 0) throw new UsageError(`Unknown threshold key: ${key}`);
+    // An unprefixed name in both places applies to whichever runs
+    const running = targets.filter(target => target.runs);
+    if (running.length === 0) {
+      throw new UsageError(`Threshold ${key} targets a criterion or category that is not run (see --type, --checks, --exclude, --categories)`);
+    }
+    running.forEach(target => addRule(target.scope, target.id, min));
+  });
+
+  return Array.from(rules.values());
+}
+
+function evaluateRules(rules, results) {
+  return rules.map(rule => {
+    let score;
+    if (rule.scope === 'lighthouse') {
+      score = results.lighthouse ? results.lighthouse[rule.id] : undefined;
+    } else if (rule.id === null) {
+      score = results.ux ? results.ux.summary.averageScore : undefined;
+    } else {
+      const criterion = results.ux ? results.ux.criteria.find(c => c.id === rule.id) : null;
+      score = criterion ? criterion.score : undefined;
+    }
+    return {
+      key: rule.id === null ? 'ux' : `${rule.scope}.${rule.id}`,
+      min: rule.min,
+      score: typeof score === 'number' ? score : null,
+      implicit: rule.implicit,
+      passed: score >= rule.min
+    };
+  })
+    // --min-score can't be violated by a criterion that produced no score (e.g. a check no
+    // audited device applies to); an explicit --threshold without a score is a violation
+    .filter(item => item.score !== null || !item.implicit)
+    .map(({ implicit, ...item }) => item);
+}
+
+function formatWcag(wcag) {
+  const failed = wcag.criteria.filter(criterion => criterion.status === 'failed').map(criterion => criterion.id);
+  return `  WCAG ${wcag.version} (${wcag.level}): ${wcag.summary.checked} criteria checked, ${wcag.summary.failed} failed` +
+    `${failed.length > 0 ? ` (${failed.join(', ')})` : ''}, ${wcag.summary.manual} need a manual review`;
+}
+
+function formatReport(results, report) {
+  const lines = [];
+  const mark = key => {
+    const entry = report.find(item => item.key === key);
+    if (!entry) return '';
+    return entry.passed ? `  ✓ (min ${entry.min})` : `  ✗ (min ${entry.min})`;
+  };
+
+  if (results.ux) {
+    const target = results.ux.devices ? results.ux.devices.map(device => device.name).join(', ') : results.ux.platform;
+    lines.push(`UX audit: ${results.ux.url} [${target}, ${results.ux.profile} scoring]`);
+    lines.push(`  Overall: ${results.ux.summary.averageScore}${mark('ux')}`);
+    results.ux.criteria.forEach(criterion => {
+      lines.push(`  ${criterion.criterion} (${criterion.id}): ${criterion.score}${mark(`ux.${criterion.id}`)}`);
+      if (criterion.devices) {
+        lines.push(`    ${criterion.devices.map(run => `${run.device}: ${run.score}`).join(', ')}`);
+      }
+      criterion.issues.forEach(issue => {
+        const penalty = issue.severity ? `[${issue.severity} -${issue.penalty}] ` : '';
+        const wcag = issue.wcag ? ` [WCAG ${issue.wcag.map(criterion => criterion.id).join(', ')}]` : '';
+        lines.push(`    - ${penalty}${issue.message}${wcag}${issue.devices ? ` (${issue.devices.join(', ')})` : ''}`);
+      });
+    });
+    if (results.ux.wcag) lines.push(formatWcag(results.ux.wcag));
+    lines.push('');
+  }
+
+  if (results.lighthouse) {
+    lines.push(`Lighthouse: ${results.lighthouse.url} [${results.lighthouse.platform}, ${results.lighthouse.throttling}]`);
+    ['performance', 'accessibility', 'bestPractices', 'seo'].forEach(category => {
+      if (results.lighthouse[category] === null) return;
+      lines.push(`  ${category}: ${results.lighthouse[category]}${mark(`lighthouse.${category}`)}`);
+    });
+    if (results.lighthouse.wcag) lines.push(formatWcag(results.lighthouse.wcag));
+    lines.push('');
+  }
+
+  const failed = report.filter(item => !item.passed);
+  if (report.length === 0) {
+    lines.push('No thresholds set');
+  } else if (failed.length === 0) {
+    lines.push(`All ${report.length} thresholds met`);
+  } else {
+    lines.push(`${failed.length} of ${report.length} thresholds violated:`);
+    failed.forEach(item => lines.push(item.score === null
+      ? `  ${item.key}: no score (min ${item.min})`
+      : `  ${item.key}: ${item.score} < ${item.min}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function main(argv) {
+  let options;
+  let rules;
+  try {
+    options = parseArgs(argv);
+    if (options.help) {
+      process.stdout.write(USAGE + '\n');
+      return 0;
+    }
+    rules = buildRules(options);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  // The audit modules log progress to the console; keep stdout clean for the report
+  if (!options.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  const lang = resolveLang(options.lang);
+  const results = {};
+  try {
+    if (options.type !== 'lighthouse') {
+      results.ux = await runUXAudit(options.url, lang, {
+        checks: options.checks,
+        exclude: options.exclude,
+        platform: options.platform,
+        devices: options.devices,
+        profile: options.profile,
+        auth: options.auth,
+        // Only scores matter for the thresholds
+        screenshots: false,
+        signal: controller.signal
+      });
+    }
+    if (options.type !== 'ux') {
+      results.lighthouse = await runLighthouse(options.url, lang, {
+        ...options.lighthouse,
+        auth: options.auth,
+        signal: controller.signal
+      });
+    }
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    return 2;
+  } finally {
+    await closePool();
+  }
+
+  const report = evaluateRules(rules, results);
+  const passed = report.every(item => item.passed);
+  if (options.json) {
+    process.stdout.write(JSON.stringify({ ...results, thresholds: { passed, results: report } }, null, 2) + '\n');
+  } else {
+    process.stdout.write(formatReport(results, report));
+  }
+  return passed ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, err => {
+  process.stderr.write(`${err.stack || err.message}\n`);
+  process.exitCode = 2;
+});
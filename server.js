@@ -1,16 +1,25 @@
 const express = require('express');
 const path = require('path');
+const jobs = require('./utils/jobs');
+const browserPool = require('./utils/browser-pool');
+const history = require('./utils/history');
+const { normalizeAuth, redactAuth } = require('./utils/auth');
+const { listProfiles, resolveProfile } = require('./utils/scoring');
+const { diffResults, renderDiffHtml } = require('./utils/diff');
+const { renderReportHtml, renderReportPdf } = require('./utils/report');
 
 console.log('Starting server initialization...');
 
 // Load utilities with error handling
-let runAudit, runLighthouse, runUXAudit;
+let runAudit, runLighthouse, normalizeLighthouseOptions, runUXAudit, listUXChecks, resolveDevices, listDevices, runCrawl;
+let runFlow, normalizeFlow, redactFlow;
 
 try {
   console.log('Loading audit utils...');
   const auditUtils = require('./utils/audit');
   runAudit = auditUtils.runAudit;
   runLighthouse = auditUtils.runLighthouse;
+  normalizeLighthouseOptions = auditUtils.normalizeLighthouseOptions;
   console.log('Audit utils loaded successfully');
 } catch (err) {
   console.error('Error loading audit utils:', err);
@@ -21,12 +30,33 @@ try {
   console.log('Loading UX audit utils...');
   const uxAuditUtils = require('./utils/ux-audit');
   runUXAudit = uxAuditUtils.runUXAudit;
+  listUXChecks = uxAuditUtils.listChecks;
+  resolveDevices = uxAuditUtils.resolveDevices;
+  listDevices = uxAuditUtils.listDevices;
   console.log('UX audit utils loaded successfully');
 } catch (err) {
   console.error('Error loading UX audit utils:', err);
   // Server will still start, but UX audit endpoint will fail gracefully
 }
 
+try {
+  console.log('Loading crawl utils...');
+  runCrawl = require('./utils/crawl').runCrawl;
+  console.log('Crawl utils loaded successfully');
+} catch (err) {
+  console.error('Error loading crawl utils:', err);
+  // Server will still start, but crawl endpoint will fail gracefully
+}
+
+try {
+  console.log('Loading user flow utils...');
+  ({ runFlow, normalizeFlow, redactFlow } = require('./utils/flow'));
+  console.log('User flow utils loaded successfully');
+} catch (err) {
+  console.error('Error loading user flow utils:', err);
+  // Server will still start, but flow jobs will fail gracefully
+}
+
 const app = express();
 
 // Get port from environment - Railway sets this automatically (usually 8080)
@@ -80,6 +110,20 @@ function normalizeUrl(url) {
   return url;
 }
 
+// Save a finished audit to history; the stored id is returned to the client as historyId
+async function recordHistory(type, params, result) {
+  // Artifacts (e.g. the full Lighthouse report) are stored as files beside the run, never in the response
+  const { artifacts, ...stored } = result;
+  try {
+    const entry = await history.saveResult(type, params, stored, artifacts);
+    // Names of the stored artifacts, as in the history entry
+    return entry.artifacts ? { ...stored, historyId: entry.id, artifacts: entry.artifacts } : { ...stored, historyId: entry.id };
+  } catch (err) {
+    console.error('Error saving audit history:', err);
+    return stored;
+  }
+}
+
 // API endpoint for regular audit
 app.get('/api/audit', async (req, res) => {
   const { url, platform = 'web', lang = 'ru' } = req.query;
@@ -105,14 +149,18 @@ app.get('/api/audit', async (req, res) => {
       return res.status(503).json({ error: 'Audit service is not available', details: 'Module not loaded' });
     }
     const result = await runAudit(normalizedUrl, platform, validLang);
-    res.status(200).json(result);
+    res.status(200).json(await recordHistory('audit', { url: normalizedUrl, platform, lang: validLang }, result));
   } catch (err) {
     console.error('Audit error:', err);
+    if (err.code === 'POOL_QUEUE_FULL') {
+      return res.status(503).json({ error: translations.api.auditFailed, details: err.message });
+    }
     res.status(500).json({ error: translations.api.auditFailed, details: err.message });
   }
 });
 
-// API endpoint for Lighthouse audit
+// API endpoint for Lighthouse audit:
+// ?url=...&platform=mobile|desktop&throttling=none|4g|slow-3g&categories=performance,seo
 app.get('/api/lighthouse', async (req, res) => {
   const { url, lang = 'ru' } = req.query;
 
@@ -130,12 +178,26 @@ app.get('/api/lighthouse', async (req, res) => {
     if (!runLighthouse) {
       return res.status(503).json({ error: 'Lighthouse service is not available', details: 'Module not loaded' });
     }
+    let lighthouseOptions;
+    try {
+      lighthouseOptions = normalizeLighthouseOptions({
+        platform: req.query.platform,
+        throttling: req.query.throttling,
+        categories: parseListParam(req.query.categories)
+      });
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid Lighthouse options', details: err.message });
+    }
+
     console.log(`Starting Lighthouse audit for: ${normalizedUrl}`);
-    const result = await runLighthouse(normalizedUrl, validLang);
+    const result = await runLighthouse(normalizedUrl, validLang, { ...lighthouseOptions, artifacts: true });
     console.log(`Lighthouse audit completed for: ${normalizedUrl}`);
-    res.status(200).json(result);
+    res.status(200).json(await recordHistory('lighthouse', { url: normalizedUrl, lang: validLang, ...lighthouseOptions }, result));
   } catch (err) {
     console.error('Lighthouse audit error:', err);
+    if (err.code === 'POOL_QUEUE_FULL') {
+      return res.status(503).json({ error: 'Lighthouse audit failed', details: err.message });
+    }
     res.status(500).json({ 
       error: 'Lighthouse audit failed', 
       details: err.message,
@@ -144,6 +206,37 @@ app.get('/api/lighthouse', async (req, res) => {
   }
 });
 
+// Parse a comma-separated list query parameter (?checks=a,b or ?checks=a&checks=b)
+function parseListParam(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// List registered UX checks (built-in and team-specific)
+app.get('/api/ux-audit/checks', (req, res) => {
+  if (!listUXChecks) {
+    return res.status(503).json({ error: 'UX audit service is not available', details: 'Module not loaded' });
+  }
+  res.status(200).json({ checks: listUXChecks() });
+});
+
+// Scoring profiles that UX audits can be scored with (see utils/scoring.js)
+app.get('/api/ux-audit/profiles', (req, res) => {
+  res.status(200).json({ profiles: listProfiles() });
+});
+
+// Device names accepted in a device matrix (Puppeteer's known devices)
+app.get('/api/ux-audit/devices', (req, res) => {
+  if (!listDevices) {
+    return res.status(503).json({ error: 'UX audit service is not available', details: 'Module not loaded' });
+  }
+  res.status(200).json({ devices: listDevices() });
+});
+
 // API endpoint for UX audit
 app.get('/api/ux-audit', async (req, res) => {
   const { url, lang = 'ru' } = req.query;
@@ -158,16 +251,49 @@ app.get('/api/ux-audit', async (req, res) => {
   // Normalize URL (add https:// if missing)
   const normalizedUrl = normalizeUrl(url);
 
+  const checks = parseListParam(req.query.checks);
+  const exclude = parseListParam(req.query.exclude);
+  const devices = parseListParam(req.query.devices);
+  const { platform = 'web', profile } = req.query;
+
+  if (platform !== 'web' && platform !== 'mobile') {
+    return res.status(400).json({ error: 'platform must be "web" or "mobile"' });
+  }
+
   try {
     if (!runUXAudit) {
       return res.status(503).json({ error: 'UX audit service is not available', details: 'Module not loaded' });
     }
+
+    const knownChecks = listUXChecks().map(check => check.id);
+    const unknownChecks = [...checks, ...exclude].filter(id => !knownChecks.includes(id));
+    if (unknownChecks.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown UX checks',
+        details: `${unknownChecks.join(', ')} (available: ${knownChecks.join(', ')})`
+      });
+    }
+
+    try {
+      resolveDevices(devices);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid devices', details: err.message });
+    }
+    try {
+      resolveProfile(profile);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid scoring profile', details: err.message });
+    }
+
     console.log(`Starting UX audit for: ${normalizedUrl}`);
-    const result = await runUXAudit(normalizedUrl, validLang);
+    const result = await runUXAudit(normalizedUrl, validLang, { checks, exclude, platform, devices, profile });
     console.log(`UX audit completed for: ${normalizedUrl}`);
-    res.status(200).json(result);
+    res.status(200).json(await recordHistory('ux', { url: normalizedUrl, lang: validLang, checks, exclude, platform, devices, profile }, result));
   } catch (err) {
     console.error('UX audit error:', err);
+    if (err.code === 'POOL_QUEUE_FULL') {
+      return res.status(503).json({ error: 'UX audit failed', details: err.message });
+    }
     res.status(500).json({ 
       error: 'UX audit failed', 
       details: err.message,
@@ -176,6 +302,485 @@ app.get('/api/ux-audit', async (req, res) => {
   }
 });
 
+// API endpoint for site-wide crawl: discovers same-origin pages and runs the UX audit on each
+app.get('/api/crawl', async (req, res) => {
+  const { url, lang = 'ru', depth, maxPages, sitemap, profile } = req.query;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL parameter is required' });
+  }
+
+  // Validate language
+  const validLang = (lang === 'en' || lang === 'ru') ? lang : 'ru';
+
+  // Normalize URL (add https:// if missing)
+  const normalizedUrl = normalizeUrl(url);
+
+  const maxDepth = depth !== undefined ? parseInt(depth, 10) : undefined;
+  const pageLimit = maxPages !== undefined ? parseInt(maxPages, 10) : undefined;
+  if ((maxDepth !== undefined && (isNaN(maxDepth) || maxDepth < 0)) ||
+      (pageLimit !== undefined && (isNaN(pageLimit) || pageLimit < 1))) {
+    return res.status(400).json({ error: 'depth must be >= 0 and maxPages must be >= 1' });
+  }
+
+  // A crawl audits many pages one by one, so it gets a longer timeout than single audits
+  req.setTimeout(15 * 60 * 1000);
+  res.setTimeout(15 * 60 * 1000);
+
+  try {
+    if (!runCrawl) {
+      return res.status(503).json({ error: 'Crawl service is not available', details: 'Module not loaded' });
+    }
+    const checks = parseListParam(req.query.checks);
+    const knownChecks = listUXChecks ? listUXChecks().map(check => check.id) : [];
+    const unknownChecks = checks.filter(id => !knownChecks.includes(id));
+    if (unknownChecks.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown UX checks',
+        details: `${unknownChecks.join(', ')} (available: ${knownChecks.join(', ')})`
+      });
+    }
+    try {
+      resolveProfile(profile);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid scoring profile', details: err.message });
+    }
+
+    console.log(`Starting crawl for: ${normalizedUrl}`);
+    const crawlParams = {
+      lang: validLang,
+      maxDepth,
+      maxPages: pageLimit,
+      includeUrls: parseListParam(req.query.includeUrls),
+      excludeUrls: parseListParam(req.query.excludeUrls),
+      useSitemap: sitemap !== 'false',
+      checks,
+      profile
+    };
+    const result = await runCrawl(normalizedUrl, crawlParams);
+    console.log(`Crawl completed for: ${normalizedUrl} (${result.summary.pagesAudited} pages)`);
+    res.status(200).json(await recordHistory('crawl', { url: normalizedUrl, ...crawlParams }, result));
+  } catch (err) {
+    console.error('Crawl error:', err);
+    res.status(500).json({
+      error: 'Crawl failed',
+      details: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// Resolve parameters and the task for a background job. Parameters use the same names
+// as the query parameters of /api/ux-audit, /api/lighthouse and /api/crawl.
+// UX, Lighthouse and flow jobs also take `auth` (see utils/auth.js); it's only accepted in the
+// request body so credentials don't end up in URLs, and params keep a redacted copy.
+// Flow jobs take `flow` ({ name, steps }, see utils/flow.js) instead of `url`.
+function buildJob(type, body) {
+  const { lang = 'ru' } = body;
+  let { url } = body;
+  let flow = null;
+  if (type === 'flow') {
+    if (!runFlow) {
+      return { unavailable: true };
+    }
+    try {
+      flow = normalizeFlow(body.flow);
+    } catch (err) {
+      return { error: 'Invalid flow', details: err.message };
+    }
+    // A flow starts at its first navigation
+    url = flow.steps[0].url;
+  }
+  if (!url) {
+    return { error: 'URL parameter is required' };
+  }
+
+  const params = {
+    url: normalizeUrl(url),
+    lang: (lang === 'en' || lang === 'ru') ? lang : 'ru'
+  };
+
+  let auth;
+  try {
+    auth = normalizeAuth(body.auth);
+  } catch (err) {
+    return { error: 'Invalid auth options', details: err.message };
+  }
+  if (auth) {
+    if (type === 'crawl') {
+      return { error: 'auth is not supported for crawl jobs' };
+    }
+    params.auth = redactAuth(auth);
+  }
+
+  if (type === 'ux' || type === 'crawl' || type === 'flow') {
+    if (!runUXAudit || (type === 'crawl' && !runCrawl)) {
+      return { unavailable: true };
+    }
+    params.checks = parseListParam(body.checks);
+    const knownChecks = listUXChecks().map(check => check.id);
+    const uxExclude = type !== 'crawl' ? parseListParam(body.exclude) : [];
+    const unknownChecks = [...params.checks, ...uxExclude].filter(id => !knownChecks.includes(id));
+    if (unknownChecks.length > 0) {
+      return { error: 'Unknown UX checks', details: `${unknownChecks.join(', ')} (available: ${knownChecks.join(', ')})` };
+    }
+    // A profile name, or a whole profile object for a one-off scoring model
+    try {
+      resolveProfile(body.profile);
+    } catch (err) {
+      return { error: 'Invalid scoring profile', details: err.message };
+    }
+    params.profile = body.profile || undefined;
+
+    if (type === 'ux' || type === 'flow') {
+      params.exclude = uxExclude;
+      params.platform = body.platform || 'web';
+      if (params.platform !== 'web' && params.platform !== 'mobile') {
+        return { error: 'platform must be "web" or "mobile"' };
+      }
+    }
+
+    if (type === 'flow') {
+      params.flow = redactFlow(flow);
+      params.lighthouse = body.lighthouse !== false && body.lighthouse !== 'false';
+      if (params.lighthouse) {
+        if (!runLighthouse) {
+          return { unavailable: true };
+        }
+        try {
+          const { throttling, categories } = normalizeLighthouseOptions({
+            platform: params.platform,
+            throttling: body.throttling,
+            categories: parseListParam(body.categories)
+          });
+          Object.assign(params, { throttling, categories });
+        } catch (err) {
+          return { error: 'Invalid Lighthouse options', details: err.message };
+        }
+      }
+      return {
+        params,
+        task: async ({ signal, onProgress }) => recordHistory('flow', params, await runFlow(flow, params.lang, {
+          checks: params.checks,
+          exclude: params.exclude,
+          platform: params.platform,
+          profile: params.profile,
+          lighthouse: params.lighthouse,
+          throttling: params.throttling,
+          categories: params.categories,
+          artifacts: true,
+          auth,
+          signal,
+          onProgress
+        }))
+      };
+    }
+
+    if (type === 'ux') {
+      // Names and "WxH" breakpoints as a list or a comma-separated string, or custom device objects
+      params.devices = Array.isArray(body.devices) && body.devices.some(device => typeof device === 'object')
+        ? body.devices
+        : parseListParam(body.devices);
+      try {
+        resolveDevices(params.devices);
+      } catch (err) {
+        return { error: 'Invalid devices', details: err.message };
+      }
+      return {
+        params,
+        task: async ({ signal, onProgress }) => recordHistory('ux', params, await runUXAudit(params.url, params.lang, {
+          checks: params.checks, exclude: params.exclude, platform: params.platform, devices: params.devices,
+          profile: params.profile, auth, signal, onProgress
+        }))
+      };
+    }
+
+    params.maxDepth = body.depth !== undefined ? parseInt(body.depth, 10) : undefined;
+    params.maxPages = body.maxPages !== undefined ? parseInt(body.maxPages, 10) : undefined;
+    if ((params.maxDepth !== undefined && (isNaN(params.maxDepth) || params.maxDepth < 0)) ||
+        (params.maxPages !== undefined && (isNaN(params.maxPages) || params.maxPages < 1))) {
+      return { error: 'depth must be >= 0 and maxPages must be >= 1' };
+    }
+    params.includeUrls = parseListParam(body.includeUrls);
+    params.excludeUrls = parseListParam(body.excludeUrls);
+    params.useSitemap = body.sitemap !== false && body.sitemap !== 'false';
+    return {
+      params,
+      task: async ({ signal, onProgress }) => recordHistory('crawl', params, await runCrawl(params.url, { ...params, signal, onProgress }))
+    };
+  }
+
+  if (type === 'lighthouse') {
+    if (!runLighthouse) {
+      return { unavailable: true };
+    }
+    try {
+      Object.assign(params, normalizeLighthouseOptions({
+        platform: body.platform,
+        throttling: body.throttling,
+        categories: parseListParam(body.categories)
+      }));
+    } catch (err) {
+      return { error: 'Invalid Lighthouse options', details: err.message };
+    }
+    return {
+      params,
+      task: async ({ signal, onProgress }) => recordHistory('lighthouse', params, await runLighthouse(params.url, params.lang, {
+        platform: params.platform, throttling: params.throttling, categories: params.categories,
+        artifacts: true, auth, signal, onProgress
+      }))
+    };
+  }
+
+  return { error: 'type must be "ux", "lighthouse", "crawl" or "flow"' };
+}
+
+// Start an audit in the background and return its job id right away
+app.post('/api/jobs', (req, res) => {
+  const body = req.body || {};
+  const { type = 'ux' } = body;
+  const job = buildJob(type, body);
+
+  if (job.unavailable) {
+    return res.status(503).json({ error: 'Audit service is not available', details: 'Module not loaded' });
+  }
+  if (job.error) {
+    return res.status(400).json({ error: job.error, details: job.details });
+  }
+
+  const created = jobs.createJob(type, job.params, job.task);
+  res.status(202)
+    .location(`/api/jobs/${created.id}`)
+    .json(jobs.serializeJob(created));
+});
+
+// Job status, progress and (once completed) result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.status(200).json(jobs.serializeJob(job));
+});
+
+// Cancel a running job (closing its browser); a finished job is removed instead
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (jobs.isFinished(job)) {
+    jobs.deleteJob(job.id);
+    return res.status(200).json({ id: job.id, deleted: true });
+  }
+  jobs.cancelJob(job.id);
+  res.status(200).json(jobs.serializeJob(job, { includeResult: false }));
+});
+
+// Server-Sent Events stream of job progress: "progress" events, then one "finished" event
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  // The stream stays open for as long as the job runs
+  req.setTimeout(0);
+  res.setTimeout(0);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay what happened before the client connected
+  job.progress.forEach(event => send('progress', event));
+  if (jobs.isFinished(job)) {
+    send('finished', jobs.serializeJob(job, { includeResult: false }));
+    return res.end();
+  }
+
+  const onProgress = event => send('progress', event);
+  const onFinished = summary => {
+    send('finished', summary);
+    cleanup();
+    res.end();
+  };
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    job.events.off('progress', onProgress);
+    job.events.off('finished', onFinished);
+  };
+
+  job.events.on('progress', onProgress);
+  job.events.on('finished', onFinished);
+  req.on('close', cleanup);
+});
+
+// List past audit runs: ?url=...&type=ux|lighthouse|audit|crawl&page=1&limit=20
+app.get('/api/history', async (req, res) => {
+  const { url, type } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  if (type && !history.HISTORY_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${history.HISTORY_TYPES.join(', ')}` });
+  }
+
+  try {
+    res.status(200).json(await history.listResults({ url, type, page, limit }));
+  } catch (err) {
+    console.error('History error:', err);
+    res.status(500).json({ error: 'Failed to read audit history', details: err.message });
+  }
+});
+
+// Full Lighthouse report of a stored run: the native HTML viewer or the complete LHR
+app.get('/api/lighthouse/:id/report.:format(html|json)', async (req, res) => {
+  const { id, format } = req.params;
+  try {
+    const file = await history.getArtifactPath(id, `report.${format}`);
+    if (!file) {
+      return res.status(404).json({ error: 'Lighthouse report not found' });
+    }
+    res.type(format);
+    if (format === 'json') {
+      res.attachment(`lighthouse-${id}.json`);
+    }
+    res.sendFile(file);
+  } catch (err) {
+    console.error('Lighthouse report error:', err);
+    res.status(500).json({ error: 'Failed to read Lighthouse report', details: err.message });
+  }
+});
+
+// Full stored report of a past run
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const record = await history.getResult(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    res.status(200).json(record);
+  } catch (err) {
+    console.error('History error:', err);
+    res.status(500).json({ error: 'Failed to read audit history', details: err.message });
+  }
+});
+
+// A result given to diff / report endpoints is either a stored history id or a result object posted as JSON
+async function resolveResultInput(value) {
+  if (typeof value === 'string') {
+    const record = await history.getResult(value);
+    return record ? { ...record.result, historyId: record.id } : null;
+  }
+  return value && typeof value === 'object' ? value : null;
+}
+
+async function sendDiff(req, res, baseInput, targetInput) {
+  const { lang = 'ru', format = 'json' } = req.query;
+  const validLang = (lang === 'en' || lang === 'ru') ? lang : 'ru';
+
+  if (!baseInput || !targetInput) {
+    return res.status(400).json({ error: 'Both base and target are required' });
+  }
+
+  try {
+    const [base, target] = await Promise.all([resolveResultInput(baseInput), resolveResultInput(targetInput)]);
+    if (!base || !target) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    let diff;
+    try {
+      diff = diffResults(base, target);
+    } catch (err) {
+      return res.status(400).json({ error: 'Results cannot be compared', details: err.message });
+    }
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(renderDiffHtml(diff, validLang));
+    }
+    res.status(200).json(diff);
+  } catch (err) {
+    console.error('Diff error:', err);
+    res.status(500).json({ error: 'Diff failed', details: err.message });
+  }
+}
+
+// Compare two stored runs: ?base=<historyId>&target=<historyId>[&format=html]
+app.get('/api/diff', (req, res) => sendDiff(req, res, req.query.base, req.query.target));
+
+// Compare two runs posted as { base, target }, each a history id or a full result
+app.post('/api/diff', (req, res) => sendDiff(req, res, req.body?.base, req.body?.target));
+
+async function sendReport(req, res, input) {
+  const { lang = 'ru', format = 'html' } = req.query;
+  const validLang = (lang === 'en' || lang === 'ru') ? lang : 'ru';
+
+  if (format !== 'html' && format !== 'pdf') {
+    return res.status(400).json({ error: 'format must be html or pdf' });
+  }
+  if (!input) {
+    return res.status(400).json({ error: 'result is required' });
+  }
+
+  try {
+    const result = await resolveResultInput(input);
+    if (!result) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    let html;
+    try {
+      html = renderReportHtml(result, validLang);
+    } catch (err) {
+      return res.status(400).json({ error: 'Result cannot be exported', details: err.message });
+    }
+
+    const host = (() => {
+      try {
+        return new URL(result.url).hostname;
+      } catch (e) {
+        return 'site';
+      }
+    })();
+    // A posted timestamp can be anything, so only a valid ISO date makes it into the header
+    const timestamp = typeof result.timestamp === 'string' && /^\d{4}-\d{2}-\d{2}/.test(result.timestamp)
+      ? new Date(result.timestamp)
+      : new Date(NaN);
+    const date = (isNaN(timestamp.getTime()) ? new Date() : timestamp).toISOString().slice(0, 10);
+    const filename = `ux-audit-report-${host}-${date}.${format}`;
+
+    if (format === 'pdf') {
+      const pdf = await renderReportPdf(html);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).type('pdf').send(pdf);
+    }
+    if (req.query.download) {
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.status(200).type('html').send(html);
+  } catch (err) {
+    console.error('Report error:', err);
+    const status = err.code === 'POOL_QUEUE_FULL' ? 503 : 500;
+    res.status(status).json({ error: 'Report export failed', details: err.message });
+  }
+}
+
+// Client report of a stored run: ?format=html|pdf&lang=ru|en[&download=1]
+app.get('/api/history/:id/report', (req, res) => sendReport(req, res, req.params.id));
+
+// Client report of a posted { result }, which is a history id or a full UX / Lighthouse result
+app.post('/api/report', (req, res) => sendReport(req, res, req.body?.result));
+
 // Healthcheck endpoint (simple and fast) - should be first to respond quickly
 app.get('/health', (req, res) => {
   console.log('Healthcheck called');
@@ -187,8 +792,10 @@ app.get('/health', (req, res) => {
       modules: {
         audit: !!runAudit,
         lighthouse: !!runLighthouse,
-        uxAudit: !!runUXAudit
-      }
+        uxAudit: !!runUXAudit,
+        crawl: !!runCrawl
+      },
+      browserPool: browserPool.getPoolStats()
     });
     console.log('Healthcheck response sent');
   } catch (err) {
@@ -306,8 +913,9 @@ server.on('listening', () => {
 // Keep process alive
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
     console.log('Server closed');
+    await browserPool.closePool();
     process.exit(0);
   });
 });
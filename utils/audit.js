@@ -1,4 +1,7 @@
-// chrome-launcher is an ES module, will be imported dynamically
+const { acquireBrowser } = require('./browser-pool');
+const { normalizeAuth, redactAuth, applyAuth } = require('./auth');
+const { tagLighthouseIssues, summarizeLighthouseConformance } = require('./wcag');
+const { measureContrast } = require('./contrast');
 
 // Normalize URL - add https:// if protocol is missing
 function normalizeUrl(url) {
@@ -43,10 +46,194 @@ function translateLighthouseIssue(issue, lang = 'ru') {
   };
 }
 
-async function runLighthouse(url, lang = 'ru') {
-  let chrome = null;
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+const LIGHTHOUSE_PLATFORMS = ['mobile', 'desktop'];
+const THROTTLING_PROFILES = ['none', '4g', 'slow-3g'];
+
+// Validate and fill in defaults for platform ('mobile' | 'desktop', 'web' is accepted for desktop),
+// throttling ('none' | '4g' | 'slow-3g') and categories (Lighthouse category ids, all by default)
+function normalizeLighthouseOptions({ platform = 'mobile', throttling = '4g', categories } = {}) {
+  const resolvedPlatform = platform === 'web' ? 'desktop' : platform;
+  if (!LIGHTHOUSE_PLATFORMS.includes(resolvedPlatform)) {
+    throw new Error(`platform must be one of: ${LIGHTHOUSE_PLATFORMS.join(', ')}`);
+  }
+  if (!THROTTLING_PROFILES.includes(throttling)) {
+    throw new Error(`throttling must be one of: ${THROTTLING_PROFILES.join(', ')}`);
+  }
+
+  const requested = (categories && categories.length > 0 ? categories : LIGHTHOUSE_CATEGORIES)
+    .map(id => (id === 'bestPractices' ? 'best-practices' : id));
+  const unknown = requested.filter(id => !LIGHTHOUSE_CATEGORIES.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown Lighthouse categories: ${unknown.join(', ')}`);
+  }
+
+  return {
+    platform: resolvedPlatform,
+    throttling,
+    // Keep Lighthouse's category order regardless of how they were requested
+    categories: LIGHTHOUSE_CATEGORIES.filter(id => requested.includes(id))
+  };
+}
+
+// Lighthouse settings for a platform and throttling profile, built from Lighthouse's own presets
+// (the same ones its default mobile config and desktop config use)
+async function buildLighthouseSettings({ platform, throttling, categories }) {
+  const constants = await import('lighthouse/core/config/constants.js');
+  const settings = {
+    logLevel: 'error',
+    // runnerResult.report is the native HTML viewer; the LHR is always on runnerResult.lhr
+    output: 'html',
+    onlyCategories: categories,
+    formFactor: platform,
+    screenEmulation: constants.screenEmulationMetrics[platform],
+    emulatedUserAgent: constants.userAgents[platform]
+  };
+
+  if (throttling === 'none') {
+    // Measure the page as fast as this machine and its network load it
+    settings.throttlingMethod = 'provided';
+  } else {
+    settings.throttlingMethod = 'simulate';
+    if (throttling === 'slow-3g') {
+      settings.throttling = constants.throttling.mobileRegular3G;
+    } else {
+      settings.throttling = platform === 'desktop' ? constants.throttling.desktopDense4G : constants.throttling.mobileSlow4G;
+    }
+  }
+  return settings;
+}
+
+// Failing audits of one LHR category as issues, worst first
+function extractCategoryDetails(audits, categoryData, lang) {
+  if (!categoryData || !categoryData.auditRefs) {
+    return [];
+  }
+
+  const issues = [];
+  
+  categoryData.auditRefs.forEach(auditRef => {
+    const audit = audits[auditRef.id];
+    if (!audit) return;
+
+    // Skip metrics - we only want issues/opportunities
+    if (audit.scoreDisplayMode === 'numeric') {
+      return;
+    }
+
+    // Include audits that failed (score < 1) - these are real issues
+    const score = audit.score;
+    const isFailing = score !== null && score < 1;
+    
+    // Only include failing audits (real problems)
+    if (isFailing) {
+      // Translate and clean the issue
+      const translated = translateLighthouseIssue({
+        id: auditRef.id,
+        title: audit.title,
+        description: audit.description || ''
+      }, lang);
+      
+      const issue = {
+        id: auditRef.id,
+        title: translated.title,
+        description: translated.description,
+        score: score !== null ? Math.round(score * 100) : null,
+        displayValue: audit.displayValue || null,
+        details: null
+      };
+
+      // Extract details if available
+      if (audit.details) {
+        if (audit.details.type === 'opportunity') {
+          // For opportunities, extract savings
+          if (audit.details.overallSavingsMs) {
+            issue.savings = Math.round(audit.details.overallSavingsMs);
+            issue.savingsUnit = 'ms';
+          }
+          if (audit.details.overallSavingsBytes) {
+            issue.savingsBytes = Math.round(audit.details.overallSavingsBytes);
+          }
+        }
+        
+        // Extract items if available (like list of resources, nodes, etc.)
+        if (audit.details.items && audit.details.items.length > 0) {
+          issue.items = audit.details.items.slice(0, 5); // Limit to 5 items
+          issue.itemsCount = audit.details.items.length;
+        }
+      }
+
+      // Insight audits report savings per metric instead ({ LCP: 450, FCP: 120 })
+      if (audit.metricSavings) {
+        const metricSavings = Object.entries(audit.metricSavings).filter(([, value]) => value > 0);
+        if (metricSavings.length > 0) {
+          issue.metricSavings = Object.fromEntries(metricSavings.map(([metric, value]) => {
+            return [metric, metric === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value)];
+          }));
+        }
+      }
+
+      issues.push(issue);
+    }
+  });
+
+  // Sort by score (worst first) or by importance
+  return issues.sort((a, b) => {
+    if (a.score !== null && b.score !== null) {
+      return a.score - b.score;
+    }
+    if (a.score === null) return 1;
+    if (b.score === null) return -1;
+    return 0;
+  });
+}
+
+// Scores, failing audits and the final screenshot of an LHR in the shape runLighthouse returns.
+// Categories that weren't run - or, in user-flow timespan steps, aren't scored - are null.
+function summarizeLighthouseResult(lhr, lang = 'ru') {
+  const { categories, audits } = lhr;
+  if (!categories) {
+    throw new Error('No categories found in Lighthouse results');
+  }
+  const scoreOf = id => (categories[id] && categories[id].score !== null ? Math.round(categories[id].score * 100) : null);
+
+  return {
+    performance: scoreOf('performance'),
+    accessibility: scoreOf('accessibility'),
+    bestPractices: scoreOf('best-practices'),
+    seo: scoreOf('seo'),
+    issues: {
+      performance: extractCategoryDetails(audits, categories.performance, lang),
+      accessibility: tagLighthouseIssues(extractCategoryDetails(audits, categories.accessibility, lang)),
+      bestPractices: extractCategoryDetails(audits, categories['best-practices'], lang),
+      seo: extractCategoryDetails(audits, categories.seo, lang)
+    },
+    // WCAG conformance, when the accessibility category ran
+    wcag: categories.accessibility ? summarizeLighthouseConformance(lhr) : null,
+    // Screenshot of the loaded page as a data: URI, used in exported reports
+    screenshot: audits['final-screenshot']?.details?.data || null
+  };
+}
+
+// Options: platform, throttling, categories (see normalizeLighthouseOptions),
+// artifacts (also return the full report as result.artifacts: { 'report.html', 'report.json' }),
+// auth (cookies, headers, basicAuth, login recipe - see utils/auth.js),
+// signal (AbortSignal that closes the browser context), onProgress(stage, params) for progress reporting
+async function runLighthouse(url, lang = 'ru', options = {}) {
+  const { artifacts = false, signal, onProgress = () => {} } = options;
+  let lease = null;
+  const abortHandler = () => {
+    if (lease) {
+      console.log('[Lighthouse] Audit cancelled, closing browser context...');
+      lease.context.close().catch(() => {});
+    }
+  };
   
   try {
+    if (signal && signal.aborted) {
+      throw new Error('Audit cancelled');
+    }
+
     console.log(`[Lighthouse] Starting audit for: ${url}`);
     
     // Normalize URL (add https:// if missing)
@@ -60,52 +247,23 @@ async function runLighthouse(url, lang = 'ru') {
       throw new Error(`Invalid URL format: ${url}`);
     }
 
-    // Dynamically import chrome-launcher (ES module)
-    console.log('[Lighthouse] Importing chrome-launcher...');
-    let chromeLauncher;
-    try {
-      chromeLauncher = await import('chrome-launcher');
-      console.log('[Lighthouse] chrome-launcher imported successfully');
-    } catch (err) {
-      console.error('[Lighthouse] Error importing chrome-launcher:', err);
-      throw new Error(`Failed to import chrome-launcher: ${err.message}`);
-    }
-    
-    // Launch Chrome in headless mode with additional flags for Railway/Docker
-    console.log('[Lighthouse] Launching Chrome...');
-    console.log('[Lighthouse] CHROME_PATH:', process.env.CHROME_PATH);
-    console.log('[Lighthouse] CHROME_BIN:', process.env.CHROME_BIN);
-    
-    const chromeOptions = {
-      chromeFlags: [
-        '--headless',
-        '--no-sandbox',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process'
-      ]
-    };
-    
-    // Use system Chrome if available (from Dockerfile)
-    if (process.env.CHROME_PATH || process.env.CHROME_BIN) {
-      chromeOptions.chromePath = process.env.CHROME_PATH || process.env.CHROME_BIN;
-      console.log('[Lighthouse] Using system Chrome from:', chromeOptions.chromePath);
-    }
-    
-    try {
-      chrome = await chromeLauncher.default.launch(chromeOptions);
-    } catch (err) {
-      console.error('[Lighthouse] Error launching Chrome:', err);
-      throw new Error(`Failed to launch Chrome: ${err.message}`);
-    }
+    const runOptions = normalizeLighthouseOptions(options);
+    const auth = normalizeAuth(options.auth);
 
-    if (!chrome || !chrome.port) {
-      throw new Error('Failed to launch Chrome instance - no port assigned');
+    // Lighthouse drives a page from the shared browser pool
+    console.log('[Lighthouse] Acquiring browser...');
+    onProgress('lighthouse-launching', {});
+    lease = await acquireBrowser({ signal });
+    if (signal) signal.addEventListener('abort', abortHandler, { once: true });
+    if (signal && signal.aborted) {
+      throw new Error('Audit cancelled');
+    }
+    const page = await lease.context.newPage();
+    // Log in on the same page Lighthouse will drive, so the gather sees the session
+    await applyAuth(page, auth, url, { onProgress, lighthouse: true });
+    if (signal && signal.aborted) {
+      throw new Error('Audit cancelled');
     }
-
-    console.log(`[Lighthouse] Chrome launched successfully on port ${chrome.port}`);
 
     // Dynamically import Lighthouse (ES module)
     console.log('[Lighthouse] Importing Lighthouse...');
@@ -119,19 +277,27 @@ async function runLighthouse(url, lang = 'ru') {
     }
 
     // Run Lighthouse
-    const options = {
-      logLevel: 'error',
-      output: 'json',
-      onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
-      port: chrome.port
-    };
+    const lighthouseOptions = await buildLighthouseSettings(runOptions);
+    if (auth) {
+      // Lighthouse clears cookies and storage of the origin before loading it, which would log us out.
+      // Scoping the headers to the origin would take request interception, which skews the timings,
+      // so Lighthouse sends them to every origin the page loads from.
+      lighthouseOptions.disableStorageReset = true;
+      if (Object.keys(auth.headers).length > 0) {
+        lighthouseOptions.extraHeaders = auth.headers;
+      }
+    }
 
     console.log(`[Lighthouse] Running Lighthouse audit for: ${url}`);
-    console.log(`[Lighthouse] Options:`, JSON.stringify(options, null, 2));
+    console.log(`[Lighthouse] Options:`, JSON.stringify({
+      ...lighthouseOptions,
+      extraHeaders: auth ? redactAuth(auth).headers : undefined
+    }, null, 2));
     
     let runnerResult;
+    onProgress('lighthouse-gathering', { url });
     try {
-      runnerResult = await lighthouse.default(url, options);
+      runnerResult = await lighthouse.default(url, lighthouseOptions, undefined, page);
       console.log('[Lighthouse] Lighthouse audit completed');
     } catch (err) {
       console.error('[Lighthouse] Error running Lighthouse:', err);
@@ -142,222 +308,554 @@ async function runLighthouse(url, lang = 'ru') {
       throw new Error('Lighthouse returned invalid results');
     }
 
-    // Extract scores and detailed information from the results
-    const categories = runnerResult.lhr.categories;
-    const audits = runnerResult.lhr.audits;
-    
-    if (!categories) {
-      throw new Error('No categories found in Lighthouse results');
-    }
-
-    // Helper function to extract issues and opportunities from a category
-    function extractCategoryDetails(categoryKey, categoryData) {
-      if (!categoryData || !categoryData.auditRefs) {
-        return [];
-      }
-
-      const issues = [];
-      
-      categoryData.auditRefs.forEach(auditRef => {
-        const audit = audits[auditRef.id];
-        if (!audit) return;
-
-        // Skip metrics - we only want issues/opportunities
-        if (audit.scoreDisplayMode === 'numeric') {
-          return;
-        }
-
-        // Include audits that failed (score < 1) - these are real issues
-        const score = audit.score;
-        const isFailing = score !== null && score < 1;
-        
-        // Only include failing audits (real problems)
-        if (isFailing) {
-          // Translate and clean the issue
-          const translated = translateLighthouseIssue({
-            id: auditRef.id,
-            title: audit.title,
-            description: audit.description || ''
-          }, lang);
-          
-          const issue = {
-            id: auditRef.id,
-            title: translated.title,
-            description: translated.description,
-            score: score !== null ? Math.round(score * 100) : null,
-            displayValue: audit.displayValue || null,
-            details: null
-          };
-
-          // Extract details if available
-          if (audit.details) {
-            if (audit.details.type === 'opportunity') {
-              // For opportunities, extract savings
-              if (audit.details.overallSavingsMs) {
-                issue.savings = Math.round(audit.details.overallSavingsMs);
-                issue.savingsUnit = 'ms';
-              }
-              if (audit.details.overallSavingsBytes) {
-                issue.savingsBytes = Math.round(audit.details.overallSavingsBytes);
-              }
-            }
-            
-            // Extract items if available (like list of resources, nodes, etc.)
-            if (audit.details.items && audit.details.items.length > 0) {
-              issue.items = audit.details.items.slice(0, 5); // Limit to 5 items
-              issue.itemsCount = audit.details.items.length;
-            }
-          }
-
-          issues.push(issue);
-        }
-      });
-
-      // Sort by score (worst first) or by importance
-      return issues.sort((a, b) => {
-        if (a.score !== null && b.score !== null) {
-          return a.score - b.score;
-        }
-        if (a.score === null) return 1;
-        if (b.score === null) return -1;
-        return 0;
-      });
-    }
-
-    // Extract details for each category
-    const performanceIssues = extractCategoryDetails('performance', categories.performance);
-    const accessibilityIssues = extractCategoryDetails('accessibility', categories.accessibility);
-    const bestPracticesIssues = extractCategoryDetails('best-practices', categories['best-practices']);
-    const seoIssues = extractCategoryDetails('seo', categories.seo);
+    onProgress('lighthouse-processing', {});
 
     const result = {
       url,
       timestamp: new Date().toISOString(),
-      performance: Math.round((categories.performance?.score || 0) * 100),
-      accessibility: Math.round((categories.accessibility?.score || 0) * 100),
-      bestPractices: Math.round((categories['best-practices']?.score || 0) * 100),
-      seo: Math.round((categories.seo?.score || 0) * 100),
-      issues: {
-        performance: performanceIssues,
-        accessibility: accessibilityIssues,
-        bestPractices: bestPracticesIssues,
-        seo: seoIssues
-      }
+      platform: runOptions.platform,
+      throttling: runOptions.throttling,
+      categories: runOptions.categories,
+      ...summarizeLighthouseResult(runnerResult.lhr, lang)
     };
 
+    if (artifacts) {
+      // The complete LHR and its HTML viewer (treemap, filmstrip, all diagnostics) - several MB,
+      // so callers store them as files instead of keeping them in the result
+      result.artifacts = {
+        'report.html': runnerResult.report,
+        'report.json': JSON.stringify(runnerResult.lhr)
+      };
+    }
+
     console.log('Lighthouse audit completed successfully');
     return result;
   } catch (error) {
+    if (signal && signal.aborted) {
+      throw new Error('Lighthouse audit cancelled');
+    }
     console.error('[Lighthouse] Error details:', error);
     console.error('[Lighthouse] Error stack:', error.stack);
-    throw new Error(`Lighthouse audit failed: ${error.message}`);
+    const wrapped = new Error(`Lighthouse audit failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
   } finally {
-    // Close Chrome instance
-    if (chrome) {
-      try {
-        console.log('[Lighthouse] Closing Chrome instance...');
-        await chrome.kill();
-        console.log('[Lighthouse] Chrome instance closed successfully');
-      } catch (killError) {
-        console.error('[Lighthouse] Error closing Chrome:', killError);
-      }
+    if (signal) signal.removeEventListener('abort', abortHandler);
+    // Return the browser to the pool
+    if (lease) {
+      await lease.release();
+      console.log('[Lighthouse] Browser context released');
     }
   }
 }
 
-async function runAudit(url, platform = 'web', lang = 'ru') {
-  const translations = require(`../lang/${lang}.json`);
-  // Simulate async operation with a small delay
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // Define all possible issues by criterion (using English keys for internal logic)
-      const allIssues = {
-        'Layout & Structure': [
-          ...(platform === 'web' ? ['contentWidthExceeds'] : []),
-          ...(platform === 'mobile' ? ['horizontalScrolling'] : []),
-          'inconsistentSpacing'
-        ],
-        'Navigation': [
-          ...(platform === 'web' ? ['noStickyHeader'] : []),
-          ...(platform === 'mobile' ? ['hamburgerMenuMissing'] : []),
-          'confusingHierarchy'
-        ],
-        'Typography & Readability': [
-          ...(platform === 'web' ? ['fontSizeTooSmall'] : []),
-          ...(platform === 'mobile' ? ['poorReadability'] : []),
-          'insufficientLineSpacing'
-        ],
-        'Accessibility': [
-          'missingAltText',
-          'lowContrast',
-          'noKeyboardNav'
-        ],
-        'Mobile-specific': platform === 'mobile' ? [
-          'tapTargetsTooSmall',
-          'viewportMissing',
-          'noResponsiveLayout'
-        ] : [],
-        'Visual hierarchy': [
-          'inconsistentHeadings',
-          'noClearCTA',
-          'overuseOfBold'
-        ]
+// Helper function to wait (replacement for deprecated waitForTimeout)
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Viewports used for each platform of the regular audit
+const PLATFORM_VIEWPORTS = {
+  web: { width: 1920, height: 1080 },
+  mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+};
+
+// Low-contrast elements listed as evidence, like the other samples of collectPageData
+const LOW_CONTRAST_SAMPLES = 5;
+
+// Collect the raw page measurements the audit rules are evaluated against.
+// Runs inside the browser, so everything it needs has to be defined inline.
+function collectPageData() {
+  const SAMPLE_LIMIT = 5;
+
+  function describe(el) {
+    let descriptor = el.tagName.toLowerCase();
+    if (el.id) descriptor += `#${el.id}`;
+    const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean) : [];
+    if (classes.length > 0) descriptor += '.' + classes.slice(0, 3).join('.');
+    return descriptor;
+  }
+
+  function isVisible(el) {
+    const style = window.getComputedStyle(el);
+    return style.display !== 'none' &&
+           style.visibility !== 'hidden' &&
+           style.opacity !== '0' &&
+           el.offsetWidth > 0 &&
+           el.offsetHeight > 0;
+  }
+
+  function hasOwnText(el) {
+    return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '');
+  }
+
+  function lineHeightRatio(style) {
+    const fontSize = parseFloat(style.fontSize);
+    // "normal" resolves to roughly 1.2 in every major browser
+    const lineHeight = style.lineHeight === 'normal' ? fontSize * 1.2 : parseFloat(style.lineHeight);
+    return fontSize > 0 ? lineHeight / fontSize : null;
+  }
+
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const all = Array.from(document.body ? document.body.querySelectorAll('*') : []);
+  const visible = all.filter(isVisible);
+  const textElements = visible.filter(hasOwnText);
+
+  // Layout & Structure
+  const overflowing = visible.filter(el => el.getBoundingClientRect().right > viewportWidth + 1);
+  const blocks = Array.from(document.querySelectorAll('main > *, body > section, main section, body > header, body > footer'))
+    .filter(isVisible)
+    .map(el => ({ el, rect: el.getBoundingClientRect() }))
+    .sort((a, b) => a.rect.top - b.rect.top);
+  const sectionGaps = [];
+  for (let i = 1; i < blocks.length; i++) {
+    const gap = Math.round(blocks[i].rect.top - blocks[i - 1].rect.bottom);
+    if (gap >= 0) sectionGaps.push(gap);
+  }
+
+  // Navigation
+  const header = document.querySelector('header, [role="banner"]') || document.querySelector('nav, [role="navigation"]');
+  const headerPosition = header ? window.getComputedStyle(header).position : null;
+  const nav = Array.from(document.querySelectorAll('nav, [role="navigation"]')).find(isVisible) || null;
+  let navDepth = 0;
+  if (nav) {
+    nav.querySelectorAll('li').forEach(li => {
+      let depth = 0;
+      for (let node = li; node && node !== nav; node = node.parentElement) {
+        if (node.tagName === 'UL' || node.tagName === 'OL') depth++;
+      }
+      navDepth = Math.max(navDepth, depth);
+    });
+  }
+  const topLevelNavLinks = nav
+    ? Array.from(nav.querySelectorAll('a')).filter(a => isVisible(a) && !a.parentElement.closest('li li')).length
+    : 0;
+  const menuToggles = Array.from(document.querySelectorAll(
+    '[class*="hamburger"], [class*="menu-toggle"], [class*="burger"], [aria-label*="menu" i], [aria-controls][aria-expanded], .mobile-menu'
+  )).filter(isVisible).map(el => {
+    const rect = el.getBoundingClientRect();
+    return { element: describe(el), width: Math.round(rect.width), height: Math.round(rect.height) };
+  });
+
+  // Typography & Readability
+  const smallText = textElements
+    .map(el => ({ element: describe(el), fontSize: parseFloat(window.getComputedStyle(el).fontSize) }))
+    .filter(item => item.fontSize < 14);
+  const paragraphs = Array.from(document.querySelectorAll('p, li, dd, blockquote'))
+    .filter(el => isVisible(el) && el.textContent.trim().length >= 40)
+    .map(el => {
+      const style = window.getComputedStyle(el);
+      return {
+        element: describe(el),
+        fontSize: parseFloat(style.fontSize),
+        lineHeightRatio: lineHeightRatio(style)
       };
+    });
 
-      // Generate mock results - randomly include some issues per criterion
-      const criteria = Object.keys(allIssues).filter(criterion => {
-        // Include mobile-specific only for mobile platform
-        if (criterion === 'Mobile-specific' && platform !== 'mobile') {
-          return false;
+  // Accessibility
+  const imagesWithoutAlt = Array.from(document.querySelectorAll('img'))
+    .filter(img => !img.hasAttribute('alt'))
+    .map(img => img.currentSrc || img.getAttribute('src') || describe(img));
+  // Text colors and the backgrounds behind them; the contrast is judged in Node (see judgeContrast)
+  const contrastSamples = textElements.map(el => {
+    const style = window.getComputedStyle(el);
+    const layers = [];
+    let opacity = 1;
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const nodeStyle = window.getComputedStyle(node);
+      opacity *= parseFloat(nodeStyle.opacity);
+      layers.push({ backgroundColor: nodeStyle.backgroundColor, hasBackgroundImage: nodeStyle.backgroundImage !== 'none' });
+    }
+    return {
+      element: describe(el),
+      color: style.color,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: parseInt(style.fontWeight, 10) || 400,
+      opacity,
+      layers
+    };
+  });
+  const focusableTags = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY'];
+  const unfocusableClickables = visible
+    .filter(el => (el.hasAttribute('onclick') || el.getAttribute('role') === 'button') &&
+                  !focusableTags.includes(el.tagName) &&
+                  !el.hasAttribute('tabindex'))
+    .map(describe);
+  const positiveTabindex = Array.from(document.querySelectorAll('[tabindex]'))
+    .filter(el => parseInt(el.getAttribute('tabindex'), 10) > 0)
+    .map(describe);
+
+  // Mobile-specific
+  const viewportMeta = document.querySelector('meta[name="viewport"]');
+  const viewportContent = viewportMeta ? viewportMeta.getAttribute('content') || '' : null;
+  const smallTapTargets = visible
+    .filter(el => el.matches('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]'))
+    .map(el => {
+      const rect = el.getBoundingClientRect();
+      return { element: describe(el), width: Math.round(rect.width), height: Math.round(rect.height) };
+    })
+    .filter(target => Math.min(target.width, target.height) < 48);
+  let mediaQueryCount = 0;
+  let unreadableStylesheets = 0;
+  Array.from(document.styleSheets).forEach(sheet => {
+    try {
+      Array.from(sheet.cssRules || []).forEach(rule => {
+        if (rule.type === CSSRule.MEDIA_RULE && /width/.test(rule.conditionText || rule.media.mediaText)) {
+          mediaQueryCount++;
         }
-        return true;
       });
+    } catch (e) {
+      // Cross-origin stylesheets can't be inspected
+      unreadableStylesheets++;
+    }
+  });
+  mediaQueryCount += Array.from(document.querySelectorAll('link[rel="stylesheet"][media]'))
+    .filter(link => /width/.test(link.media)).length;
+
+  // Visual hierarchy
+  const headingSizes = {};
+  ['h1', 'h2', 'h3', 'h4'].forEach(tag => {
+    const sizes = Array.from(document.querySelectorAll(tag))
+      .filter(isVisible)
+      .map(el => parseFloat(window.getComputedStyle(el).fontSize));
+    if (sizes.length > 0) headingSizes[tag] = Array.from(new Set(sizes)).sort((a, b) => b - a);
+  });
+  const ctaKeywords = ['купить', 'заказать', 'начать', 'оформить', 'записаться', 'попробовать',
+    'buy', 'order', 'start', 'get started', 'sign up', 'try', 'subscribe', 'contact'];
+  const ctas = visible
+    .filter(el => el.matches('button, a[class*="btn"], a[class*="button"], a[class*="cta"], [class*="call-to-action"], input[type="submit"]'))
+    .filter(el => {
+      const text = (el.textContent || el.value || '').trim().toLowerCase();
+      return ctaKeywords.some(keyword => text.includes(keyword));
+    })
+    .map(el => ({
+      element: describe(el),
+      text: (el.textContent || el.value || '').trim().substring(0, 50),
+      aboveTheFold: el.getBoundingClientRect().top < viewportHeight
+    }));
+  let totalChars = 0;
+  let boldChars = 0;
+  const textColors = new Set();
+  textElements.forEach(el => {
+    if (/^H[1-6]$/.test(el.tagName)) return;
+    const style = window.getComputedStyle(el);
+    const length = Array.from(el.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .reduce((sum, node) => sum + node.textContent.trim().length, 0);
+    totalChars += length;
+    if (parseInt(style.fontWeight, 10) >= 600) boldChars += length;
+    textColors.add(style.color);
+  });
+
+  return {
+    viewportWidth,
+    viewportHeight,
+    scrollWidth: document.documentElement.scrollWidth,
+    overflowingCount: overflowing.length,
+    overflowingElements: overflowing.slice(0, SAMPLE_LIMIT).map(describe),
+    sectionGaps,
+    header: header ? describe(header) : null,
+    headerPosition,
+    hasNav: !!nav,
+    navDepth,
+    topLevelNavLinks,
+    menuToggles: menuToggles.slice(0, SAMPLE_LIMIT),
+    smallTextCount: smallText.length,
+    smallText: smallText.slice(0, SAMPLE_LIMIT),
+    paragraphs,
+    imagesWithoutAltCount: imagesWithoutAlt.length,
+    imagesWithoutAlt: imagesWithoutAlt.slice(0, SAMPLE_LIMIT),
+    contrastSamples,
+    unfocusableClickablesCount: unfocusableClickables.length,
+    unfocusableClickables: unfocusableClickables.slice(0, SAMPLE_LIMIT),
+    positiveTabindexCount: positiveTabindex.length,
+    positiveTabindex: positiveTabindex.slice(0, SAMPLE_LIMIT),
+    viewportContent,
+    smallTapTargetsCount: smallTapTargets.length,
+    smallTapTargets: smallTapTargets.slice(0, SAMPLE_LIMIT),
+    mediaQueryCount,
+    unreadableStylesheets,
+    headingSizes,
+    // Counted before sampling: the first CTAs may all be further down the page
+    ctasAboveTheFoldCount: ctas.filter(cta => cta.aboveTheFold).length,
+    ctas: ctas.slice(0, SAMPLE_LIMIT),
+    boldRatio: totalChars > 0 ? Math.round((boldChars / totalChars) * 100) / 100 : 0,
+    distinctTextColors: textColors.size
+  };
+}
+
+// Replace the text color samples of collectPageData with the text that fails AA contrast,
+// judged by the same rules as the UX audit's contrast check
+function judgeContrast({ contrastSamples, ...data }) {
+  const lowContrast = [];
+  contrastSamples.forEach(sample => {
+    const contrast = measureContrast(sample);
+    if (contrast && contrast.ratio < contrast.requiredAA) {
+      lowContrast.push({ element: sample.element, ratio: Math.round(contrast.ratio * 100) / 100, required: contrast.requiredAA });
+    }
+  });
+  return {
+    ...data,
+    lowContrastCount: lowContrast.length,
+    lowContrast: lowContrast.slice(0, LOW_CONTRAST_SAMPLES)
+  };
+}
 
-      const results = criteria.map(criterion => {
-        const possibleIssues = allIssues[criterion];
-        if (possibleIssues.length === 0) {
+// Audit rules keyed by criterion and by the issue keys in lang/*.json.
+// Each rule returns the evidence that triggered it, or null when it passes.
+const AUDIT_RULES = {
+  'Layout & Structure': [
+    {
+      key: 'contentWidthExceeds',
+      platforms: ['web'],
+      evaluate: data => data.scrollWidth > data.viewportWidth
+        ? { scrollWidth: data.scrollWidth, viewportWidth: data.viewportWidth, elements: data.overflowingElements }
+        : null
+    },
+    {
+      key: 'horizontalScrolling',
+      platforms: ['mobile'],
+      evaluate: data => data.scrollWidth > data.viewportWidth
+        ? { scrollWidth: data.scrollWidth, viewportWidth: data.viewportWidth, elements: data.overflowingElements }
+        : null
+    },
+    {
+      key: 'inconsistentSpacing',
+      evaluate: data => {
+        // Spacing is consistent when gaps between sections stick to a few steps of a 8px grid
+        const steps = Array.from(new Set(data.sectionGaps.map(gap => Math.round(gap / 8) * 8)));
+        return data.sectionGaps.length >= 3 && steps.length > 3
+          ? { sectionGaps: data.sectionGaps, distinctSpacings: steps.sort((a, b) => a - b) }
+          : null;
+      }
+    }
+  ],
+  'Navigation': [
+    {
+      key: 'noStickyHeader',
+      platforms: ['web'],
+      evaluate: data => data.header && data.headerPosition !== 'fixed' && data.headerPosition !== 'sticky'
+        ? { header: data.header, position: data.headerPosition }
+        : null
+    },
+    {
+      key: 'hamburgerMenuMissing',
+      platforms: ['mobile'],
+      evaluate: data => {
+        if (data.menuToggles.length === 0) {
+          return { menuToggles: 0 };
+        }
+        const tappable = data.menuToggles.filter(toggle => Math.min(toggle.width, toggle.height) >= 44);
+        return tappable.length === 0 ? { menuToggles: data.menuToggles, minimumSize: 44 } : null;
+      }
+    },
+    {
+      key: 'confusingHierarchy',
+      evaluate: data => data.hasNav && (data.navDepth > 2 || data.topLevelNavLinks > 9)
+        ? { menuDepth: data.navDepth, topLevelLinks: data.topLevelNavLinks, maxDepth: 2, maxTopLevelLinks: 9 }
+        : null
+    }
+  ],
+  'Typography & Readability': [
+    {
+      key: 'fontSizeTooSmall',
+      platforms: ['web'],
+      evaluate: data => data.smallTextCount > 5
+        ? { count: data.smallTextCount, minimumFontSize: 14, elements: data.smallText }
+        : null
+    },
+    {
+      key: 'poorReadability',
+      platforms: ['mobile'],
+      evaluate: data => {
+        const small = data.paragraphs.filter(p => p.fontSize < 16);
+        return small.length > 0
+          ? { count: small.length, minimumFontSize: 16, elements: small.slice(0, 5) }
+          : null;
+      }
+    },
+    {
+      key: 'insufficientLineSpacing',
+      evaluate: data => {
+        const tight = data.paragraphs.filter(p => p.lineHeightRatio !== null && p.lineHeightRatio < 1.4);
+        return tight.length > 0
+          ? {
+            count: tight.length,
+            minimumRatio: 1.4,
+            elements: tight.slice(0, 5).map(p => ({ element: p.element, lineHeightRatio: Math.round(p.lineHeightRatio * 100) / 100 }))
+          }
+          : null;
+      }
+    }
+  ],
+  'Accessibility': [
+    {
+      key: 'missingAltText',
+      evaluate: data => data.imagesWithoutAltCount > 0
+        ? { count: data.imagesWithoutAltCount, images: data.imagesWithoutAlt }
+        : null
+    },
+    {
+      key: 'lowContrast',
+      evaluate: data => data.lowContrastCount > 0
+        ? { count: data.lowContrastCount, elements: data.lowContrast }
+        : null
+    },
+    {
+      key: 'noKeyboardNav',
+      evaluate: data => data.unfocusableClickablesCount > 0 || data.positiveTabindexCount > 0
+        ? {
+          unfocusableClickables: data.unfocusableClickablesCount,
+          positiveTabindex: data.positiveTabindexCount,
+          elements: data.unfocusableClickables.concat(data.positiveTabindex).slice(0, 5)
+        }
+        : null
+    }
+  ],
+  'Mobile-specific': [
+    {
+      key: 'tapTargetsTooSmall',
+      platforms: ['mobile'],
+      evaluate: data => data.smallTapTargetsCount > 0
+        ? { count: data.smallTapTargetsCount, minimumSize: 48, elements: data.smallTapTargets }
+        : null
+    },
+    {
+      key: 'viewportMissing',
+      platforms: ['mobile'],
+      evaluate: data => data.viewportContent === null || !/width\s*=\s*device-width/.test(data.viewportContent)
+        ? { viewport: data.viewportContent }
+        : null
+    },
+    {
+      key: 'noResponsiveLayout',
+      platforms: ['mobile'],
+      evaluate: data => data.mediaQueryCount === 0 && data.unreadableStylesheets === 0
+        ? { mediaQueries: 0, scrollWidth: data.scrollWidth, viewportWidth: data.viewportWidth }
+        : null
+    }
+  ],
+  'Visual hierarchy': [
+    {
+      key: 'inconsistentHeadings',
+      evaluate: data => {
+        const levels = Object.keys(data.headingSizes);
+        const inverted = [];
+        for (let i = 1; i < levels.length; i++) {
+          const upper = Math.min(...data.headingSizes[levels[i - 1]]);
+          const lower = Math.max(...data.headingSizes[levels[i]]);
+          if (lower >= upper) inverted.push(`${levels[i]} (${lower}px) >= ${levels[i - 1]} (${upper}px)`);
+        }
+        const mixed = levels.filter(level => data.headingSizes[level].length > 2);
+        return inverted.length > 0 || mixed.length > 0
+          ? { headingSizes: data.headingSizes, inverted, mixedSizes: mixed }
+          : null;
+      }
+    },
+    {
+      key: 'noClearCTA',
+      evaluate: data => data.ctasAboveTheFoldCount === 0
+        ? { ctasAboveTheFold: 0, ctasBelowTheFold: data.ctas }
+        : null
+    },
+    {
+      key: 'overuseOfBold',
+      evaluate: data => data.boldRatio > 0.3 || data.distinctTextColors > 12
+        ? { boldRatio: data.boldRatio, maxBoldRatio: 0.3, distinctTextColors: data.distinctTextColors, maxTextColors: 12 }
+        : null
+    }
+  ]
+};
+
+// Evaluate the audit rules for a platform against collected page data
+function evaluateRules(data, platform, translations) {
+  return Object.keys(AUDIT_RULES)
+    .filter(criterion => criterion !== 'Mobile-specific' || platform === 'mobile')
+    .map(criterion => {
+      const issues = AUDIT_RULES[criterion]
+        .filter(rule => !rule.platforms || rule.platforms.includes(platform))
+        .map(rule => {
+          const evidence = rule.evaluate(data);
+          if (!evidence) return null;
           return {
-            criterion: translations.criteria[criterion] || criterion,
-            issues: []
+            key: rule.key,
+            message: translations.issues[criterion]?.[rule.key] || rule.key,
+            evidence
           };
-        }
+        })
+        .filter(Boolean);
 
-        // Randomly select 0-2 issues per criterion (weighted toward having some issues)
-        const numIssues = Math.random() < 0.3 ? 0 : Math.min(Math.floor(Math.random() * 2) + 1, possibleIssues.length);
-        const selectedIssues = possibleIssues
-          .sort(() => Math.random() - 0.5)
-          .slice(0, numIssues);
-
-        // Translate issues to Russian
-        const translatedIssues = selectedIssues.map(issueKey => {
-          const criterionKey = criterion;
-          return translations.issues[criterionKey]?.[issueKey] || issueKey;
-        });
-
-        return {
-          criterion: translations.criteria[criterion] || criterion,
-          issues: translatedIssues.length > 0 ? translatedIssues : []
-        };
-      });
+      return {
+        criterion: translations.criteria[criterion] || criterion,
+        issues
+      };
+    });
+}
 
-      // Calculate summary
-      const totalIssues = results.reduce((sum, r) => sum + r.issues.length, 0);
-      const criteriaWithIssues = results.filter(r => r.issues.length > 0).length;
-
-      resolve({
-        url,
-        platform,
-        timestamp: new Date().toISOString(),
-        criteria: results,
-        summary: {
-          totalIssues,
-          criteriaWithIssues,
-          criteriaTotal: criteria.length,
-          passed: totalIssues === 0
-        }
-      });
-    }, 1000); // 1 second delay to simulate real audit
-  });
+async function runAudit(url, platform = 'web', lang = 'ru') {
+  const translations = require(`../lang/${lang}.json`);
+  let lease = null;
+
+  try {
+    url = normalizeUrl(url);
+
+    try {
+      new URL(url);
+    } catch (e) {
+      throw new Error(`Invalid URL format: ${url}`);
+    }
+
+    console.log(`[Audit] Acquiring browser for ${platform} audit...`);
+    lease = await acquireBrowser();
+
+    const page = await lease.context.newPage();
+    await page.setViewport(PLATFORM_VIEWPORTS[platform] || PLATFORM_VIEWPORTS.web);
+
+    console.log(`[Audit] Navigating to: ${url}`);
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 30000
+    });
+
+    // Wait a bit for dynamic content
+    await wait(2000);
+
+    const data = judgeContrast(await page.evaluate(collectPageData));
+    const results = evaluateRules(data, platform, translations);
+
+    // Calculate summary
+    const totalIssues = results.reduce((sum, r) => sum + r.issues.length, 0);
+    const criteriaWithIssues = results.filter(r => r.issues.length > 0).length;
+
+    return {
+      url,
+      platform,
+      timestamp: new Date().toISOString(),
+      criteria: results,
+      summary: {
+        totalIssues,
+        criteriaWithIssues,
+        criteriaTotal: results.length,
+        passed: totalIssues === 0
+      }
+    };
+  } catch (error) {
+    console.error('[Audit] Error details:', error);
+    const wrapped = new Error(`Audit failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  } finally {
+    if (lease) {
+      await lease.release();
+    }
+  }
 }
 
-module.exports = { runAudit, runLighthouse };
+module.exports = {
+  runAudit,
+  runLighthouse,
+  normalizeLighthouseOptions,
+  buildLighthouseSettings,
+  summarizeLighthouseResult
+};
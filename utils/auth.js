@@ -0,0 +1,211 @@
+// Authenticated audits: cookies, extra HTTP headers, basic auth and a declarative login recipe,
+// applied to the audit page before it's checked. Anything that gets logged or stored must go
+// through redactAuth() first.
+
+const REDACTED = '[redacted]';
+const AUTH_KEYS = ['cookies', 'headers', 'basicAuth', 'login'];
+const LOGIN_TIMEOUT_MS = 30000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function normalizeCookies(cookies) {
+  if (!Array.isArray(cookies)) throw new Error('auth.cookies must be an array');
+  return cookies.map((cookie, i) => {
+    if (!isPlainObject(cookie) || !isNonEmptyString(cookie.name) || typeof cookie.value !== 'string') {
+      throw new Error(`auth.cookies[${i}] must have a name and a string value`);
+    }
+    return cookie;
+  });
+}
+
+function normalizeHeaders(headers) {
+  if (!isPlainObject(headers)) throw new Error('auth.headers must be an object');
+  Object.entries(headers).forEach(([name, value]) => {
+    if (typeof value !== 'string') throw new Error(`auth.headers.${name} must be a string`);
+  });
+  return headers;
+}
+
+function normalizeBasicAuth(basicAuth) {
+  if (!isPlainObject(basicAuth) || typeof basicAuth.username !== 'string' || typeof basicAuth.password !== 'string') {
+    throw new Error('auth.basicAuth must have a username and a password');
+  }
+  return { username: basicAuth.username, password: basicAuth.password };
+}
+
+// { url, fields: [{ selector, value }], submit, waitFor, timeout }
+function normalizeLogin(login) {
+  if (!isPlainObject(login) || !isNonEmptyString(login.url)) {
+    throw new Error('auth.login must have a url');
+  }
+  try {
+    new URL(login.url);
+  } catch (e) {
+    throw new Error('auth.login.url must be an absolute URL');
+  }
+
+  const fields = login.fields || [];
+  if (!Array.isArray(fields)) throw new Error('auth.login.fields must be an array');
+  fields.forEach((field, i) => {
+    if (!isPlainObject(field) || !isNonEmptyString(field.selector) || typeof field.value !== 'string') {
+      throw new Error(`auth.login.fields[${i}] must have a selector and a string value`);
+    }
+  });
+  ['submit', 'waitFor'].forEach(key => {
+    if (login[key] !== undefined && !isNonEmptyString(login[key])) {
+      throw new Error(`auth.login.${key} must be a selector`);
+    }
+  });
+  if (login.timeout !== undefined && !(Number.isFinite(login.timeout) && login.timeout > 0)) {
+    throw new Error('auth.login.timeout must be a positive number of milliseconds');
+  }
+
+  return {
+    url: login.url,
+    fields: fields.map(field => ({ selector: field.selector, value: field.value })),
+    submit: login.submit || null,
+    waitFor: login.waitFor || null,
+    timeout: login.timeout || LOGIN_TIMEOUT_MS
+  };
+}
+
+// Validate auth options; throws on invalid input. Returns null when there is nothing to apply.
+function normalizeAuth(auth) {
+  if (auth === undefined || auth === null) return null;
+  if (!isPlainObject(auth)) throw new Error('auth must be an object');
+
+  const unknown = Object.keys(auth).filter(key => !AUTH_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown auth options: ${unknown.join(', ')}`);
+  }
+
+  const normalized = {
+    cookies: auth.cookies ? normalizeCookies(auth.cookies) : [],
+    headers: auth.headers ? normalizeHeaders(auth.headers) : {},
+    basicAuth: auth.basicAuth ? normalizeBasicAuth(auth.basicAuth) : null,
+    login: auth.login ? normalizeLogin(auth.login) : null
+  };
+  const empty = normalized.cookies.length === 0 && Object.keys(normalized.headers).length === 0 &&
+    !normalized.basicAuth && !normalized.login;
+  return empty ? null : normalized;
+}
+
+// Login and magic-link URLs often carry tokens in the query string or fragment
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return REDACTED;
+  }
+}
+
+// Copy of normalized auth options with every secret replaced, safe to log and store
+function redactAuth(auth) {
+  if (!auth) return null;
+  return {
+    cookies: auth.cookies.map(cookie => ({ ...cookie, value: REDACTED })),
+    headers: Object.fromEntries(Object.keys(auth.headers).map(name => [name, REDACTED])),
+    basicAuth: auth.basicAuth ? { username: REDACTED, password: REDACTED } : null,
+    login: auth.login
+      ? {
+        ...auth.login,
+        url: redactUrl(auth.login.url),
+        fields: auth.login.fields.map(field => ({ selector: field.selector, value: REDACTED }))
+      }
+      : null
+  };
+}
+
+async function runLoginRecipe(page, login) {
+  const { timeout } = login;
+  try {
+    await page.goto(login.url, { waitUntil: 'networkidle2', timeout });
+    for (const field of login.fields) {
+      await page.waitForSelector(field.selector, { visible: true, timeout });
+      // Replace whatever the browser prefilled
+      await page.$eval(field.selector, el => { el.value = ''; });
+      await page.type(field.selector, field.value);
+    }
+    if (login.submit) {
+      await page.waitForSelector(login.submit, { visible: true, timeout });
+      // Without a waitFor selector the login is done when the submit navigation finishes;
+      // single-page apps that log in without navigating need waitFor
+      const navigation = login.waitFor ? null : page.waitForNavigation({ waitUntil: 'networkidle2', timeout });
+      await page.click(login.submit);
+      if (navigation) await navigation;
+    }
+    if (login.waitFor) {
+      await page.waitForSelector(login.waitFor, { timeout });
+    }
+  } catch (err) {
+    // Puppeteer errors name selectors and URLs only, never the typed values; the URL may carry a token
+    throw new Error(`Login failed: ${err.message.split(login.url).join(redactUrl(login.url))}`);
+  }
+}
+
+// Request interception handlers on an audit page run in cooperative mode with this priority,
+// so several of them (auth headers, the forms sandbox) can share a page
+const INTERCEPT_PRIORITY = 0;
+
+// Headers and basic auth belong to a page rather than its browser context, so another page
+// opened in the same context (e.g. a sandbox for submitting forms) needs them applied again.
+// Headers carry credentials, so they only go to the audited site's origin: never to CDNs,
+// analytics or other third parties the page loads from, nor to the sites it redirects to.
+// Scoping them means intercepting every request, which stalls it on a round trip through Node
+// and bypasses the cache; a page Lighthouse measures (scoped: false) sends them everywhere instead.
+async function applyRequestAuth(page, auth, url, { scoped = true } = {}) {
+  if (!auth) return;
+
+  if (Object.keys(auth.headers).length > 0 && !scoped) {
+    await page.setExtraHTTPHeaders(auth.headers);
+  } else if (Object.keys(auth.headers).length > 0) {
+    const origin = new URL(url).origin;
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      let sameOrigin = false;
+      try {
+        sameOrigin = new URL(request.url()).origin === origin;
+      } catch (e) {
+        // data: and other URLs without an origin
+      }
+      const overrides = sameOrigin
+        ? { ...request.continueRequestOverrides(), headers: { ...request.headers(), ...auth.headers } }
+        : request.continueRequestOverrides();
+      request.continue(overrides, INTERCEPT_PRIORITY);
+    });
+  }
+  if (auth.basicAuth) {
+    await page.authenticate(auth.basicAuth);
+  }
+}
+
+// Apply normalized auth options to a page before it navigates to `url`: headers, basic auth and
+// cookies first, then the login recipe. Cookies and the login live in the page's browser context,
+// so later navigations (and a Lighthouse run on the same page) stay logged in.
+// lighthouse: the page is measured by Lighthouse, so headers aren't scoped (see applyRequestAuth)
+async function applyAuth(page, auth, url, { onProgress = () => {}, lighthouse = false } = {}) {
+  if (!auth) return;
+
+  await applyRequestAuth(page, auth, url, { scoped: !lighthouse });
+  if (auth.cookies.length > 0) {
+    // Cookies without a domain or url belong to the audited site
+    await page.setCookie(...auth.cookies.map(cookie => (cookie.domain || cookie.url ? cookie : { ...cookie, url })));
+  }
+  if (auth.login) {
+    console.log(`Logging in at: ${redactUrl(auth.login.url)}`);
+    onProgress('login', { url: redactUrl(auth.login.url) });
+    await runLoginRecipe(page, auth.login);
+  }
+}
+
+module.exports = { INTERCEPT_PRIORITY, normalizeAuth, redactAuth, applyAuth, applyRequestAuth };
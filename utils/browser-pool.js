@@ -0,0 +1,217 @@
+// Shared pool of headless browsers used by every audit.
+// Each audit leases one browser exclusively and works inside its own incognito
+// context, so cookies and storage never leak between audits. The pool caps how many
+// audits run at once, queues the rest (up to a limit) and recycles browsers after
+// a number of uses or when they crash.
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+const config = {
+  maxConcurrency: Math.max(1, readIntEnv('BROWSER_POOL_SIZE', 2)),
+  maxQueue: readIntEnv('BROWSER_QUEUE_LIMIT', 10),
+  maxUses: Math.max(1, readIntEnv('BROWSER_MAX_USES', 20)),
+  idleTimeoutMs: readIntEnv('BROWSER_IDLE_TIMEOUT_MS', 5 * 60 * 1000)
+};
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu'
+];
+
+const idle = []; // { browser, uses, idleTimer }
+const waiting = []; // { resolve, reject, signal, onAbort }
+let active = 0;
+let launching = 0;
+const counters = {
+  launched: 0,
+  recycled: 0,
+  crashed: 0,
+  served: 0,
+  rejected: 0
+};
+
+async function launchBrowser() {
+  // Dynamically import puppeteer (may be ES module)
+  const puppeteer = await import('puppeteer');
+  const launchOptions = { headless: true, args: LAUNCH_ARGS };
+
+  // Use system Chrome if available (from Dockerfile)
+  const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || process.env.CHROME_PATH || process.env.CHROME_BIN;
+  if (executablePath) {
+    launchOptions.executablePath = executablePath;
+  }
+
+  console.log('[BrowserPool] Launching browser...');
+  const browser = await puppeteer.default.launch(launchOptions);
+  counters.launched++;
+
+  const entry = { browser, uses: 0, idleTimer: null, crashed: false };
+  browser.on('disconnected', () => {
+    if (entry.closing) return;
+    entry.crashed = true;
+    counters.crashed++;
+    console.error('[BrowserPool] Browser disconnected unexpectedly');
+    removeIdle(entry);
+  });
+  return entry;
+}
+
+function removeIdle(entry) {
+  const index = idle.indexOf(entry);
+  if (index !== -1) {
+    idle.splice(index, 1);
+    clearTimeout(entry.idleTimer);
+  }
+}
+
+async function closeEntry(entry) {
+  entry.closing = true;
+  clearTimeout(entry.idleTimer);
+  try {
+    await entry.browser.close();
+  } catch (err) {
+    console.error('[BrowserPool] Error closing browser:', err.message);
+  }
+}
+
+// Take an idle browser or launch a new one, then open a fresh incognito context in it
+async function createLease() {
+  let entry = idle.pop();
+  if (entry) {
+    clearTimeout(entry.idleTimer);
+  } else {
+    launching++;
+    try {
+      entry = await launchBrowser();
+    } finally {
+      launching--;
+    }
+  }
+
+  let context;
+  try {
+    context = await entry.browser.createBrowserContext();
+  } catch (err) {
+    // The browser is unusable; drop it and let the caller fail
+    await closeEntry(entry);
+    throw err;
+  }
+
+  entry.uses++;
+  counters.served++;
+  let released = false;
+
+  return {
+    browser: entry.browser,
+    context,
+    async release() {
+      if (released) return;
+      released = true;
+      try {
+        await context.close();
+      } catch (err) {
+        // Context is already gone if the audit was cancelled or the browser crashed
+      }
+      await returnEntry(entry);
+    }
+  };
+}
+
+async function returnEntry(entry) {
+  active--;
+
+  if (entry.crashed || !entry.browser.connected) {
+    await closeEntry(entry);
+  } else if (entry.uses >= config.maxUses) {
+    counters.recycled++;
+    console.log(`[BrowserPool] Recycling browser after ${entry.uses} uses`);
+    await closeEntry(entry);
+  } else {
+    idle.push(entry);
+    if (config.idleTimeoutMs > 0) {
+      entry.idleTimer = setTimeout(() => {
+        removeIdle(entry);
+        closeEntry(entry);
+      }, config.idleTimeoutMs);
+      entry.idleTimer.unref();
+    }
+  }
+
+  dispatchWaiting();
+}
+
+function dispatchWaiting() {
+  while (active < config.maxConcurrency && waiting.length > 0) {
+    const waiter = waiting.shift();
+    if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+    active++;
+    createLease().then(waiter.resolve, err => {
+      active--;
+      waiter.reject(err);
+      dispatchWaiting();
+    });
+  }
+}
+
+// Lease a browser context. Waits in the queue when the concurrency limit is reached;
+// fails right away with code POOL_QUEUE_FULL when the queue is full too.
+function acquireBrowser({ signal } = {}) {
+  if (signal && signal.aborted) {
+    return Promise.reject(new Error('Audit cancelled'));
+  }
+
+  if (active < config.maxConcurrency) {
+    active++;
+    return createLease().catch(err => {
+      active--;
+      dispatchWaiting();
+      throw err;
+    });
+  }
+
+  if (waiting.length >= config.maxQueue) {
+    counters.rejected++;
+    const err = new Error('Too many audits in progress, try again later');
+    err.code = 'POOL_QUEUE_FULL';
+    return Promise.reject(err);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, signal, onAbort: null };
+    if (signal) {
+      waiter.onAbort = () => {
+        const index = waiting.indexOf(waiter);
+        if (index !== -1) waiting.splice(index, 1);
+        reject(new Error('Audit cancelled'));
+      };
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+    waiting.push(waiter);
+  });
+}
+
+function getPoolStats() {
+  return {
+    maxConcurrency: config.maxConcurrency,
+    maxQueue: config.maxQueue,
+    maxUses: config.maxUses,
+    active,
+    idle: idle.length,
+    launching,
+    queued: waiting.length,
+    ...counters
+  };
+}
+
+async function closePool() {
+  const entries = idle.splice(0, idle.length);
+  await Promise.all(entries.map(closeEntry));
+  waiting.splice(0, waiting.length).forEach(waiter => waiter.reject(new Error('Browser pool is shutting down')));
+}
+
+module.exports = { acquireBrowser, getPoolStats, closePool };
@@ -0,0 +1,102 @@
+// WCAG 2.x color contrast, shared by the audit (utils/audit.js) and the UX audit (utils/ux-audit.js)
+// so both judge the same colors the same way. Colors are computed CSS colors collected in the page;
+// the maths runs in Node.
+
+// WCAG 2.x contrast thresholds by conformance level and text size
+const CONTRAST_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// Parse a computed CSS color ("rgb(...)" / "rgba(...)") into channels
+function parseColor(value) {
+  const match = value && value.match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+  const parts = match[1].split(/[,\s/]+/).filter(Boolean).map(part => {
+    return part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part);
+  });
+  if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) return null;
+  return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+}
+
+// Alpha-composite a (possibly translucent) color over an opaque backdrop
+function blendColors(top, backdrop) {
+  const alpha = top.a;
+  return {
+    r: top.r * alpha + backdrop.r * (1 - alpha),
+    g: top.g * alpha + backdrop.g * (1 - alpha),
+    b: top.b * alpha + backdrop.b * (1 - alpha),
+    a: 1
+  };
+}
+
+// Relative luminance as defined by WCAG 2.x
+function getRelativeLuminance({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+// Calculate contrast ratio between two opaque colors
+function getContrastRatio(color1, color2) {
+  const l1 = getRelativeLuminance(color1);
+  const l2 = getRelativeLuminance(color2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function formatColor({ r, g, b }) {
+  return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+// Resolve the color actually painted behind an element by compositing its
+// ancestor backgrounds over the canvas (white by default). Returns null when a background
+// image or gradient makes the backdrop impossible to determine from styles.
+// layers: { backgroundColor, hasBackgroundImage } from the element itself up to the root
+function resolveBackground(layers, canvas = WHITE) {
+  let background = canvas;
+  for (let i = layers.length - 1; i >= 0; i--) {
+    if (layers[i].hasBackgroundImage) return null;
+    const color = parseColor(layers[i].backgroundColor);
+    if (color && color.a > 0) {
+      background = blendColors(color, background);
+    }
+  }
+  return background;
+}
+
+// Contrast of a text sample ({ color, opacity, fontSize, fontWeight, layers }) with the AA and AAA
+// ratios it needs; null when its colors can't be resolved
+function measureContrast(sample, canvas = WHITE) {
+  const foreground = parseColor(sample.color);
+  const background = resolveBackground(sample.layers, canvas);
+  if (!foreground || !background) return null;
+
+  // Translucent text (own alpha or inherited opacity) is blended into its backdrop
+  const textColor = blendColors({ ...foreground, a: foreground.a * sample.opacity }, background);
+  const isLargeText = sample.fontSize >= 24 || (sample.fontSize >= 18.66 && sample.fontWeight >= 700);
+  const size = isLargeText ? 'large' : 'normal';
+  return {
+    foreground: textColor,
+    background,
+    ratio: getContrastRatio(textColor, background),
+    isLargeText,
+    requiredAA: CONTRAST_THRESHOLDS.AA[size],
+    requiredAAA: CONTRAST_THRESHOLDS.AAA[size]
+  };
+}
+
+module.exports = {
+  CONTRAST_THRESHOLDS,
+  WHITE,
+  parseColor,
+  blendColors,
+  getRelativeLuminance,
+  getContrastRatio,
+  formatColor,
+  resolveBackground,
+  measureContrast
+};
@@ -0,0 +1,273 @@
+const axios = require('axios');
+const { runUXAudit } = require('./ux-audit');
+const { resolveProfile } = require('./scoring');
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 50;
+const MAX_SITEMAPS = 10;
+
+// Links to files we can't audit as pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|rar|gz|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|avi|mov|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+// Normalize URL - add https:// if protocol is missing
+function normalizeUrl(url) {
+  if (!url) return url;
+  url = url.trim();
+  if (!url.match(/^https?:\/\//i)) {
+    url = 'https://' + url;
+  }
+  return url;
+}
+
+// Convert a glob-like path pattern ("/blog/*") into a RegExp matched against the path
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesPatterns(url, include, exclude) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  if (include.length > 0 && !include.some(re => re.test(target) || re.test(pathname))) return false;
+  if (exclude.some(re => re.test(target) || re.test(pathname))) return false;
+  return true;
+}
+
+// Resolve a link against its page and keep it only if it's a same-origin HTML page
+function toCrawlableUrl(href, baseUrl, origin) {
+  if (!href || /^(mailto:|tel:|javascript:|data:)/i.test(href.trim())) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    if (url.origin !== origin) return null;
+    if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+async function fetchText(url) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: 'text',
+    headers: { 'User-Agent': 'ux-audit-bot crawler' },
+    validateStatus: status => status >= 200 && status < 300
+  });
+  return {
+    body: typeof response.data === 'string' ? response.data : String(response.data),
+    contentType: response.headers['content-type'] || ''
+  };
+}
+
+function extractLinks(html, pageUrl, origin) {
+  const links = new Set();
+  const baseMatch = html.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i);
+  const baseUrl = baseMatch ? new URL(baseMatch[1], pageUrl).toString() : pageUrl;
+  const hrefPattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = hrefPattern.exec(html)) !== null) {
+    const url = toCrawlableUrl(match[1] || match[2] || match[3], baseUrl, origin);
+    if (url) links.add(url);
+  }
+  return Array.from(links);
+}
+
+// Collect page URLs from robots.txt "Sitemap:" entries and /sitemap.xml, following sitemap indexes
+async function discoverSitemapUrls(origin) {
+  const sitemapQueue = [];
+  try {
+    const { body } = await fetchText(`${origin}/robots.txt`);
+    body.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+      if (match) sitemapQueue.push(match[1]);
+    });
+  } catch (e) {
+    console.log(`[Crawl] No robots.txt at ${origin}: ${e.message}`);
+  }
+  if (sitemapQueue.length === 0) {
+    sitemapQueue.push(`${origin}/sitemap.xml`);
+  }
+
+  const pages = new Set();
+  const visited = new Set();
+  while (sitemapQueue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const sitemapUrl = sitemapQueue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let body;
+    try {
+      ({ body } = await fetchText(sitemapUrl));
+    } catch (e) {
+      console.log(`[Crawl] Could not read sitemap ${sitemapUrl}: ${e.message}`);
+      continue;
+    }
+
+    const locs = Array.from(body.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi))
+      .map(match => match[1].replace(/&amp;/g, '&'));
+    if (/<sitemapindex/i.test(body)) {
+      sitemapQueue.push(...locs);
+    } else {
+      locs.forEach(loc => {
+        const url = toCrawlableUrl(loc, origin, origin);
+        if (url) pages.add(url);
+      });
+    }
+  }
+
+  return Array.from(pages);
+}
+
+// Build the site-level report from per-page UX audit results
+function aggregateResults(startUrl, pages, discoveredCount) {
+  const audited = pages.filter(page => page.result);
+  const criteria = new Map();
+  const issues = new Map();
+
+  audited.forEach(({ url, result }) => {
+    result.criteria.forEach(criterion => {
+      if (!criteria.has(criterion.id)) {
+        criteria.set(criterion.id, {
+          id: criterion.id,
+          criterion: criterion.criterion,
+          scores: [],
+          failingPages: []
+        });
+      }
+      const entry = criteria.get(criterion.id);
+      entry.scores.push(criterion.score || 0);
+      if (criterion.issues.length > 0) entry.failingPages.push(url);
+
+      criterion.issues.forEach(issue => {
+        // Issues without a stable ID are grouped by their text
+        const key = issue.id || issue.message;
+        if (!issues.has(key)) {
+          issues.set(key, { id: issue.id, criterionId: criterion.id, message: issue.message, pages: [] });
+        }
+        issues.get(key).pages.push(url);
+      });
+    });
+  });
+
+  const criteriaSummary = Array.from(criteria.values()).map(({ scores, ...entry }) => ({
+    ...entry,
+    averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+    minScore: Math.min(...scores),
+    pagesAudited: scores.length
+  }));
+
+  // Issues found on several pages usually come from a shared template or component
+  const sharedIssues = Array.from(issues.values())
+    .filter(issue => issue.pages.length > 1)
+    .map(issue => ({ ...issue, count: issue.pages.length }))
+    .sort((a, b) => b.count - a.count);
+
+  const pageScores = audited.map(page => page.result.summary.averageScore);
+
+  return {
+    startUrl,
+    timestamp: new Date().toISOString(),
+    pages: pages.map(page => ({
+      url: page.url,
+      depth: page.depth,
+      score: page.result ? page.result.summary.averageScore : null,
+      totalIssues: page.result ? page.result.summary.totalIssues : null,
+      failedChecks: page.result ? page.result.criteria.filter(c => c.issues.length > 0).map(c => c.id) : [],
+      error: page.error || undefined
+    })),
+    criteria: criteriaSummary,
+    sharedIssues,
+    summary: {
+      pagesDiscovered: discoveredCount,
+      pagesAudited: audited.length,
+      pagesFailed: pages.length - audited.length,
+      averageScore: pageScores.length > 0 ? Math.round(pageScores.reduce((a, b) => a + b, 0) / pageScores.length) : 0,
+      totalIssues: audited.reduce((sum, page) => sum + page.result.summary.totalIssues, 0)
+    }
+  };
+}
+
+async function runCrawl(startUrl, options = {}) {
+  const {
+    lang = 'ru',
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+    includeUrls = [],
+    excludeUrls = [],
+    useSitemap = true,
+    checks = [],
+    signal,
+    onProgress = () => {}
+  } = options;
+  // Resolved once, so an unknown profile fails the crawl rather than every page
+  const profile = resolveProfile(options.profile);
+
+  startUrl = normalizeUrl(startUrl);
+  let origin;
+  try {
+    origin = new URL(startUrl).origin;
+  } catch (e) {
+    throw new Error(`Invalid URL format: ${startUrl}`);
+  }
+
+  const pageLimit = Math.min(Math.max(1, maxPages), MAX_PAGES_LIMIT);
+  const includePatterns = includeUrls.map(patternToRegExp);
+  const excludePatterns = excludeUrls.map(patternToRegExp);
+
+  const queue = [{ url: toCrawlableUrl(startUrl, startUrl, origin) || startUrl, depth: 0 }];
+  const seen = new Set([queue[0].url]);
+  const enqueue = (url, depth) => {
+    if (seen.has(url) || !matchesPatterns(url, includePatterns, excludePatterns)) return;
+    seen.add(url);
+    queue.push({ url, depth });
+  };
+
+  // Sitemap pages count as linked from the start page, so depth 0 leaves them out
+  if (useSitemap && maxDepth >= 1) {
+    onProgress('crawl-discovering', { url: origin });
+    const sitemapUrls = await discoverSitemapUrls(origin);
+    console.log(`[Crawl] Sitemap entries found: ${sitemapUrls.length}`);
+    sitemapUrls.forEach(url => enqueue(url, 1));
+  }
+
+  const pages = [];
+  while (queue.length > 0 && pages.length < pageLimit) {
+    if (signal && signal.aborted) {
+      throw new Error('Crawl cancelled');
+    }
+    const { url, depth } = queue.shift();
+    const page = { url, depth };
+    pages.push(page);
+
+    if (depth < maxDepth) {
+      try {
+        const { body, contentType } = await fetchText(url);
+        if (contentType.includes('html')) {
+          extractLinks(body, url, origin).forEach(link => enqueue(link, depth + 1));
+        }
+      } catch (e) {
+        console.log(`[Crawl] Could not fetch links from ${url}: ${e.message}`);
+      }
+    }
+
+    try {
+      console.log(`[Crawl] Auditing ${url} (depth ${depth}, ${pages.length}/${pageLimit})`);
+      onProgress('crawl-page', { url, current: pages.length, total: Math.min(pageLimit, seen.size) });
+      // Site reports don't show screenshots, and they'd make the crawl much slower
+      page.result = await runUXAudit(url, lang, { checks, profile, signal, screenshots: false });
+    } catch (e) {
+      if (signal && signal.aborted) {
+        throw new Error('Crawl cancelled');
+      }
+      console.error(`[Crawl] Audit failed for ${url}:`, e.message);
+      page.error = e.message;
+    }
+  }
+
+  return { ...aggregateResults(startUrl, pages, seen.size), profile: profile.name };
+}
+
+module.exports = { runCrawl };
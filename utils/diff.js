@@ -0,0 +1,278 @@
+// Compare two UX or Lighthouse results (in the shape runUXAudit / runLighthouse return)
+// to show what changed between runs.
+
+const { escapeHtml } = require('./html');
+const { getTranslations } = require('./i18n');
+
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'bestPractices', 'seo'];
+
+function detectResultType(result) {
+  if (!result || typeof result !== 'object') return null;
+  if (Array.isArray(result.criteria) && result.criteria.some(c => c.id || c.criterionKey)) return 'ux';
+  // A Lighthouse run limited to some categories leaves the others null
+  if (LIGHTHOUSE_CATEGORIES.some(category => typeof result[category] === 'number') &&
+      result.issues && typeof result.issues === 'object') return 'lighthouse';
+  return null;
+}
+
+function scoreDelta(before, after) {
+  const hasBefore = typeof before === 'number';
+  const hasAfter = typeof after === 'number';
+  return {
+    before: hasBefore ? before : null,
+    after: hasAfter ? after : null,
+    delta: hasBefore && hasAfter ? after - before : null
+  };
+}
+
+// Split issues of both runs into new / fixed / unchanged by their identity key
+function partitionIssues(baseIssues, targetIssues) {
+  const baseByKey = new Map(baseIssues.map(issue => [issue.key, issue]));
+  const targetByKey = new Map(targetIssues.map(issue => [issue.key, issue]));
+
+  const newIssues = targetIssues.filter(issue => !baseByKey.has(issue.key));
+  const fixedIssues = baseIssues.filter(issue => !targetByKey.has(issue.key));
+  const unchangedIssues = targetIssues
+    .filter(issue => baseByKey.has(issue.key))
+    .map(issue => ({ ...issue, before: baseByKey.get(issue.key) }));
+
+  const strip = ({ key, ...issue }) => issue;
+  return {
+    newIssues: newIssues.map(strip),
+    fixedIssues: fixedIssues.map(strip),
+    unchangedIssues: unchangedIssues.map(strip)
+  };
+}
+
+function flattenUXIssues(result) {
+  const issues = [];
+  result.criteria.forEach(criterion => {
+    const criterionId = criterion.id || criterion.criterionKey;
+    (criterion.issues || []).forEach(issue => {
+      // Results saved before issues had stable IDs only carry the message text
+      const normalized = typeof issue === 'string' ? { id: null, params: {}, message: issue } : issue;
+      issues.push({
+        key: `${criterionId}:${normalized.id || normalized.message}`,
+        criterionId,
+        criterion: criterion.criterion,
+        id: normalized.id,
+        params: normalized.params || {},
+        message: normalized.message
+      });
+    });
+  });
+  return issues;
+}
+
+function diffUXResults(base, target) {
+  const { newIssues, fixedIssues, unchangedIssues } = partitionIssues(flattenUXIssues(base), flattenUXIssues(target));
+
+  const criteria = new Map();
+  base.criteria.forEach(c => criteria.set(c.id || c.criterionKey, { id: c.id || c.criterionKey, criterion: c.criterion, before: c.score }));
+  target.criteria.forEach(c => {
+    const id = c.id || c.criterionKey;
+    criteria.set(id, { ...(criteria.get(id) || { id, before: undefined }), criterion: c.criterion, after: c.score });
+  });
+
+  return {
+    newIssues,
+    fixedIssues,
+    // Same finding in both runs; paramsChanged flags e.g. a different element count
+    unchangedIssues: unchangedIssues.map(({ before, ...issue }) => ({
+      ...issue,
+      paramsBefore: before.params,
+      paramsChanged: JSON.stringify(before.params) !== JSON.stringify(issue.params)
+    })),
+    scores: Array.from(criteria.values()).map(({ before, after, ...criterion }) => ({
+      ...criterion,
+      ...scoreDelta(before, after)
+    })),
+    overall: scoreDelta(base.summary?.averageScore, target.summary?.averageScore)
+  };
+}
+
+function flattenLighthouseIssues(result) {
+  const issues = [];
+  LIGHTHOUSE_CATEGORIES.forEach(category => {
+    (result.issues?.[category] || []).forEach(issue => {
+      issues.push({
+        key: `${category}:${issue.id}`,
+        category,
+        id: issue.id,
+        title: issue.title,
+        score: issue.score,
+        displayValue: issue.displayValue || null
+      });
+    });
+  });
+  return issues;
+}
+
+function diffLighthouseResults(base, target) {
+  const { newIssues, fixedIssues, unchangedIssues } = partitionIssues(
+    flattenLighthouseIssues(base),
+    flattenLighthouseIssues(target)
+  );
+
+  const displayValueChanges = unchangedIssues
+    .filter(issue => issue.displayValue !== issue.before.displayValue)
+    .map(issue => ({
+      category: issue.category,
+      id: issue.id,
+      title: issue.title,
+      before: issue.before.displayValue,
+      after: issue.displayValue
+    }));
+
+  return {
+    newIssues,
+    fixedIssues,
+    unchangedIssues: unchangedIssues.map(({ before, ...issue }) => ({ ...issue, scoreBefore: before.score })),
+    scores: LIGHTHOUSE_CATEGORIES
+      .map(category => ({ id: category, ...scoreDelta(base[category], target[category]) }))
+      // Categories that neither run measured
+      .filter(score => score.before !== null || score.after !== null),
+    displayValueChanges
+  };
+}
+
+// Diff two results of the same type; throws if they aren't comparable
+function diffResults(base, target) {
+  const baseType = detectResultType(base);
+  const targetType = detectResultType(target);
+  if (!baseType || !targetType) {
+    throw new Error('Both results must be UX audit or Lighthouse results');
+  }
+  if (baseType !== targetType) {
+    throw new Error(`Cannot compare a ${baseType} result with a ${targetType} result`);
+  }
+
+  const diff = baseType === 'ux' ? diffUXResults(base, target) : diffLighthouseResults(base, target);
+  return {
+    type: baseType,
+    base: { url: base.url, timestamp: base.timestamp, historyId: base.historyId },
+    target: { url: target.url, timestamp: target.timestamp, historyId: target.historyId },
+    summary: {
+      newIssues: diff.newIssues.length,
+      fixedIssues: diff.fixedIssues.length,
+      unchangedIssues: diff.unchangedIssues.length
+    },
+    ...diff
+  };
+}
+
+function formatDelta(delta) {
+  if (delta === null) return '—';
+  if (delta > 0) return `<span class="up">+${delta}</span>`;
+  if (delta < 0) return `<span class="down">${delta}</span>`;
+  return '<span class="same">0</span>';
+}
+
+// Render a diff as a standalone comparison page
+function renderDiffHtml(diff, lang = 'ru') {
+  const t = getTranslations(lang).diff || {};
+  const lighthouseLabels = {
+    performance: lang === 'ru' ? 'Производительность' : 'Performance',
+    accessibility: lang === 'ru' ? 'Доступность' : 'Accessibility',
+    bestPractices: lang === 'ru' ? 'Лучшие практики' : 'Best Practices',
+    seo: 'SEO'
+  };
+  const locale = lang === 'ru' ? 'ru-RU' : 'en-US';
+  const formatRun = run => `${escapeHtml(run.url)} · ${run.timestamp ? escapeHtml(new Date(run.timestamp).toLocaleString(locale)) : ''}`;
+  const issueLabel = issue => escapeHtml(issue.message || issue.title || issue.id);
+  const groupLabel = issue => escapeHtml(issue.criterion || lighthouseLabels[issue.category] || issue.category || '');
+
+  const renderIssueList = (issues, className) => {
+    if (issues.length === 0) {
+      return `<p class="empty">${escapeHtml(t.none || '—')}</p>`;
+    }
+    return `<ul class="issues ${className}">${issues.map(issue => `
+      <li><span class="group">${groupLabel(issue)}</span>${issueLabel(issue)}</li>`).join('')}
+    </ul>`;
+  };
+
+  const scoreRows = diff.scores.map(score => `
+    <tr>
+      <td>${escapeHtml(score.criterion || lighthouseLabels[score.id] || score.id)}</td>
+      <td>${score.before ?? '—'}</td>
+      <td>${score.after ?? '—'}</td>
+      <td>${formatDelta(score.delta)}</td>
+    </tr>`).join('');
+
+  const displayValueRows = (diff.displayValueChanges || []).map(change => `
+    <tr>
+      <td>${escapeHtml(change.title)}</td>
+      <td>${escapeHtml(change.before || '—')}</td>
+      <td>${escapeHtml(change.after || '—')}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(t.title || 'Comparison')}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; padding: 40px 20px; color: #1a1a1a; }
+    .container { max-width: 900px; margin: 0 auto; background: white; border-radius: 8px; padding: 48px 40px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.05); }
+    h1 { font-size: 2em; font-weight: 600; margin-bottom: 16px; }
+    h2 { font-size: 1.2em; font-weight: 600; margin: 36px 0 12px; }
+    .runs { color: #666; font-size: 14px; line-height: 1.8; }
+    .totals { display: flex; gap: 16px; margin-top: 24px; }
+    .total { flex: 1; padding: 16px; border: 1px solid #e0e0e0; border-radius: 4px; }
+    .total strong { display: block; font-size: 1.8em; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; padding: 10px 8px; border-bottom: 1px solid #f0f0f0; }
+    th { color: #666; font-weight: 400; text-transform: uppercase; font-size: 12px; letter-spacing: 0.5px; }
+    .up { color: #2e7d32; font-weight: 600; }
+    .down { color: #d32f2f; font-weight: 600; }
+    .same { color: #999; }
+    .issues { list-style: none; }
+    .issues li { padding: 10px 12px; margin-bottom: 6px; border-left: 3px solid #e0e0e0; background: #fafafa; font-size: 14px; }
+    .issues.new li { border-left-color: #d32f2f; }
+    .issues.fixed li { border-left-color: #2e7d32; }
+    .group { display: block; color: #999; font-size: 12px; margin-bottom: 2px; }
+    .empty { color: #999; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(t.title || 'Comparison')}</h1>
+    <div class="runs">
+      <div><strong>${escapeHtml(t.before || 'Before')}:</strong> ${formatRun(diff.base)}</div>
+      <div><strong>${escapeHtml(t.after || 'After')}:</strong> ${formatRun(diff.target)}</div>
+    </div>
+    <div class="totals">
+      <div class="total"><strong class="down">${diff.summary.newIssues}</strong>${escapeHtml(t.newIssues || 'New issues')}</div>
+      <div class="total"><strong class="up">${diff.summary.fixedIssues}</strong>${escapeHtml(t.fixedIssues || 'Fixed issues')}</div>
+      <div class="total"><strong class="same">${diff.summary.unchangedIssues}</strong>${escapeHtml(t.unchangedIssues || 'Unchanged issues')}</div>
+    </div>
+
+    <h2>${escapeHtml(t.scoreChanges || 'Scores')}</h2>
+    <table>
+      <thead><tr><th></th><th>${escapeHtml(t.before || 'Before')}</th><th>${escapeHtml(t.after || 'After')}</th><th>${escapeHtml(t.delta || 'Change')}</th></tr></thead>
+      <tbody>${scoreRows}</tbody>
+    </table>
+
+    ${displayValueRows ? `
+    <h2>${escapeHtml(t.displayValueChanges || 'Changed values')}</h2>
+    <table>
+      <thead><tr><th></th><th>${escapeHtml(t.before || 'Before')}</th><th>${escapeHtml(t.after || 'After')}</th></tr></thead>
+      <tbody>${displayValueRows}</tbody>
+    </table>` : ''}
+
+    <h2>${escapeHtml(t.newIssues || 'New issues')}</h2>
+    ${renderIssueList(diff.newIssues, 'new')}
+
+    <h2>${escapeHtml(t.fixedIssues || 'Fixed issues')}</h2>
+    ${renderIssueList(diff.fixedIssues, 'fixed')}
+
+    <h2>${escapeHtml(t.unchangedIssues || 'Unchanged issues')}</h2>
+    ${renderIssueList(diff.unchangedIssues, 'unchanged')}
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { diffResults, renderDiffHtml, detectResultType };
@@ -0,0 +1,422 @@
+// User-flow audits: drive one page through a multi-step journey (navigate, click, type, select,
+// wait, snapshot), run the UX checks at every snapshot and, optionally, Lighthouse's user-flow
+// mode for navigations and for the interactions between them (timespans).
+
+const { acquireBrowser } = require('./browser-pool');
+const { normalizeAuth, applyAuth } = require('./auth');
+const { getTranslations, interpolate } = require('./i18n');
+const { normalizeLighthouseOptions, buildLighthouseSettings, summarizeLighthouseResult } = require('./audit');
+const { PLATFORM_VIEWPORTS, installPageHelpers, resolveChecks, runChecks, summarizeCriteria } = require('./ux-audit');
+const { resolveProfile } = require('./scoring');
+
+const STEP_TYPES = ['navigate', 'click', 'type', 'select', 'wait', 'snapshot'];
+// Steps that interact with the page; consecutive ones form one timespan
+const ACTION_TYPES = ['click', 'type', 'select', 'wait'];
+const MAX_STEPS = 50;
+const STEP_TIMEOUT_MS = 30000;
+const MAX_WAIT_MS = 30000;
+const REDACTED = '[redacted]';
+
+// Helper function to wait (replacement for deprecated waitForTimeout)
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Audit cancelled');
+  }
+}
+
+// Normalize URL - add https:// if protocol is missing
+function normalizeUrl(url) {
+  if (!url) return url;
+  url = url.trim();
+  if (!url.match(/^https?:\/\//i)) {
+    url = 'https://' + url;
+  }
+  return url;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function normalizeStep(step, i, baseUrl) {
+  const where = `steps[${i}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!STEP_TYPES.includes(step.type)) {
+    throw new Error(`${where}.type must be one of: ${STEP_TYPES.join(', ')}`);
+  }
+  if (step.name !== undefined && !isNonEmptyString(step.name)) {
+    throw new Error(`${where}.name must be a string`);
+  }
+  if (step.type !== 'navigate' && step.type !== 'snapshot' && step.type !== 'wait' && !isNonEmptyString(step.selector)) {
+    throw new Error(`${where}.selector is required for ${step.type} steps`);
+  }
+
+  const normalized = { type: step.type, name: step.name || null };
+  switch (step.type) {
+    case 'navigate': {
+      if (!isNonEmptyString(step.url)) throw new Error(`${where}.url is required for navigate steps`);
+      try {
+        // Later steps may use paths relative to the first page
+        normalized.url = baseUrl ? new URL(step.url, baseUrl).href : new URL(normalizeUrl(step.url)).href;
+      } catch (e) {
+        throw new Error(`${where}.url is not a valid URL: ${step.url}`);
+      }
+      break;
+    }
+    case 'click':
+      normalized.selector = step.selector;
+      normalized.waitForNavigation = step.waitForNavigation === true;
+      break;
+    case 'type':
+      if (typeof step.value !== 'string') throw new Error(`${where}.value must be a string`);
+      normalized.selector = step.selector;
+      normalized.value = step.value;
+      // Secret values (passwords) are redacted from stored parameters
+      normalized.secret = step.secret === true;
+      break;
+    case 'select': {
+      const values = Array.isArray(step.value) ? step.value : [step.value];
+      if (values.length === 0 || !values.every(value => typeof value === 'string')) {
+        throw new Error(`${where}.value must be a string or an array of strings`);
+      }
+      normalized.selector = step.selector;
+      normalized.value = values;
+      break;
+    }
+    case 'wait':
+      if (isNonEmptyString(step.selector) === (step.ms !== undefined)) {
+        throw new Error(`${where} needs either a selector or ms`);
+      }
+      if (step.ms !== undefined && !(Number.isFinite(step.ms) && step.ms > 0 && step.ms <= MAX_WAIT_MS)) {
+        throw new Error(`${where}.ms must be between 1 and ${MAX_WAIT_MS}`);
+      }
+      if (step.selector) normalized.selector = step.selector;
+      else normalized.ms = step.ms;
+      break;
+    default:
+      break;
+  }
+  return normalized;
+}
+
+// Validate a flow definition ({ name, steps: [...] }); throws on invalid input.
+// The first step must be a navigation; relative URLs of later navigations resolve against it.
+function normalizeFlow(flow) {
+  if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+    throw new Error('flow must be an object with a steps array');
+  }
+  if (flow.name !== undefined && !isNonEmptyString(flow.name)) {
+    throw new Error('flow.name must be a string');
+  }
+  const { steps } = flow;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('flow.steps must be a non-empty array');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`A flow can have at most ${MAX_STEPS} steps`);
+  }
+  if (!steps[0] || steps[0].type !== 'navigate') {
+    throw new Error('The first flow step must be a navigate step');
+  }
+
+  const normalized = [];
+  steps.forEach((step, i) => {
+    normalized.push(normalizeStep(step, i, normalized[0] && normalized[0].url));
+  });
+  return { name: flow.name || null, steps: normalized };
+}
+
+// Copy of a normalized flow with the values of secret steps replaced, safe to log and store
+function redactFlow(flow) {
+  return {
+    ...flow,
+    steps: flow.steps.map(step => (step.secret ? { ...step, value: REDACTED } : step))
+  };
+}
+
+function stepName(step, number, lang) {
+  if (step.name) return step.name;
+  const names = getTranslations(lang).flow || {};
+  const key = step.type === 'wait' ? (step.selector ? 'waitSelector' : 'waitMs') : step.type;
+  return interpolate(names[key] || key, { url: step.url, selector: step.selector, ms: step.ms, number });
+}
+
+async function runAction(page, step) {
+  const timeout = STEP_TIMEOUT_MS;
+  switch (step.type) {
+    case 'click': {
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      const navigation = step.waitForNavigation ? page.waitForNavigation({ waitUntil: 'networkidle2', timeout }) : null;
+      await page.click(step.selector);
+      if (navigation) await navigation;
+      break;
+    }
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      // Replace whatever the field already holds
+      await page.$eval(step.selector, el => { el.value = ''; });
+      await page.type(step.selector, step.value);
+      break;
+    case 'select':
+      await page.waitForSelector(step.selector, { timeout });
+      await page.select(step.selector, ...step.value);
+      break;
+    case 'wait':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+      } else {
+        await wait(step.ms);
+      }
+      break;
+    default:
+      throw new Error(`Unknown action: ${step.type}`);
+  }
+}
+
+// Group flow steps into report steps: each navigation and snapshot on its own, consecutive
+// actions together as one timespan
+function planSteps(steps, lang) {
+  const planned = [];
+  let snapshotNumber = 0;
+  steps.forEach((step, i) => {
+    if (ACTION_TYPES.includes(step.type)) {
+      const last = planned[planned.length - 1];
+      const action = { index: i, step, name: stepName(step, i + 1, lang) };
+      if (last && last.type === 'timespan') {
+        last.actions.push(action);
+      } else {
+        planned.push({ type: 'timespan', actions: [action] });
+      }
+      return;
+    }
+    if (step.type === 'snapshot') snapshotNumber++;
+    planned.push({
+      type: step.type === 'navigate' ? 'navigation' : 'snapshot',
+      index: i,
+      step,
+      name: stepName(step, step.type === 'snapshot' ? snapshotNumber : i + 1, lang)
+    });
+  });
+  planned.forEach(item => {
+    if (item.type === 'timespan') {
+      item.name = item.actions.map(action => action.name).join(' → ');
+    }
+  });
+  return planned;
+}
+
+// Per-flow totals; snapshots are compared with the previous one to show where the journey degrades
+function summarizeFlow(reportSteps, plannedTotal) {
+  const snapshots = reportSteps.filter(step => step.ux);
+  let previous = null;
+  snapshots.forEach(step => {
+    const score = step.ux.summary.averageScore;
+    step.ux.scoreChange = previous === null ? null : score - previous;
+    previous = score;
+  });
+
+  const lowest = snapshots.reduce((worst, step) => {
+    return !worst || step.ux.summary.averageScore < worst.score
+      ? { step: step.index, name: step.name, score: step.ux.summary.averageScore }
+      : worst;
+  }, null);
+  const failed = reportSteps.find(step => step.error);
+
+  return {
+    stepsTotal: plannedTotal,
+    stepsRun: reportSteps.length,
+    snapshots: snapshots.length,
+    averageScore: snapshots.length > 0
+      ? Math.round(snapshots.reduce((sum, step) => sum + step.ux.summary.averageScore, 0) / snapshots.length)
+      : null,
+    totalIssues: snapshots.reduce((sum, step) => sum + step.ux.summary.totalIssues, 0),
+    lowest,
+    failedStep: failed ? failed.index : null
+  };
+}
+
+// Options: checks / exclude (UX check ids), platform ('web' | 'mobile'), profile (scoring profile,
+// see utils/scoring.js), lighthouse (run Lighthouse's user-flow mode, on by default) with throttling / categories
+// (see normalizeLighthouseOptions), artifacts (also return the Lighthouse flow report as
+// result.artifacts: { 'report.html', 'report.json' }), auth (see utils/auth.js),
+// signal (AbortSignal that closes the browser context), onProgress(stage, params) for progress reporting.
+// A failing step stops the flow; the result then has completed: false and the step's error.
+async function runFlow(flow, lang = 'ru', options = {}) {
+  const { platform = 'web', lighthouse: withLighthouse = true, artifacts = false, signal, onProgress = () => {} } = options;
+  let lease = null;
+  const abortHandler = () => {
+    if (lease) lease.context.close().catch(() => {});
+  };
+
+  try {
+    const { name, steps } = normalizeFlow(flow);
+    const checks = resolveChecks(options);
+    if (checks.length === 0) {
+      throw new Error('No checks selected');
+    }
+    const viewport = PLATFORM_VIEWPORTS[platform];
+    if (!viewport) {
+      throw new Error(`Unknown platform: ${platform}`);
+    }
+    const profile = resolveProfile(options.profile);
+    const auth = normalizeAuth(options.auth);
+    const lighthouseOptions = withLighthouse
+      ? normalizeLighthouseOptions({ platform, throttling: options.throttling, categories: options.categories })
+      : null;
+    if (!lighthouseOptions && !steps.some(step => step.type === 'snapshot')) {
+      throw new Error('A flow without Lighthouse needs at least one snapshot step');
+    }
+    const startUrl = steps[0].url;
+
+    throwIfAborted(signal);
+
+    console.log(`Acquiring browser for user flow: ${name || startUrl}`);
+    onProgress('launching', {});
+    lease = await acquireBrowser({ signal });
+    if (signal) signal.addEventListener('abort', abortHandler, { once: true });
+    throwIfAborted(signal);
+
+    const page = await lease.context.newPage();
+    await page.evaluateOnNewDocument(installPageHelpers);
+    await page.setViewport(viewport);
+    // Lighthouse measures this page, so auth headers aren't scoped to the origin (see utils/auth.js)
+    await applyAuth(page, auth, startUrl, { onProgress, lighthouse: !!lighthouseOptions });
+    throwIfAborted(signal);
+
+    let userFlow = null;
+    if (lighthouseOptions) {
+      const { startFlow } = await import('lighthouse');
+      const settings = await buildLighthouseSettings(lighthouseOptions);
+      if (auth) {
+        // Lighthouse clears cookies and storage of the origin before loading it, which would log us out
+        settings.disableStorageReset = true;
+        if (Object.keys(auth.headers).length > 0) settings.extraHeaders = auth.headers;
+      }
+      userFlow = await startFlow(page, { name: name || undefined, flags: settings });
+    }
+
+    const planned = planSteps(steps, lang);
+    const reportSteps = [];
+    // Report steps with a Lighthouse gather step, in the order of the flow result's steps
+    const gathered = [];
+
+    for (let i = 0; i < planned.length; i++) {
+      const item = planned[i];
+      throwIfAborted(signal);
+      console.log(`User flow step ${i + 1}/${planned.length}: ${item.name}`);
+      onProgress('flow-step', { current: i + 1, total: planned.length, name: item.name });
+
+      const entry = { index: i, type: item.type, name: item.name };
+      if (item.type === 'timespan') {
+        entry.actions = item.actions.map(action => ({
+          index: action.index,
+          type: action.step.type,
+          name: action.name,
+          selector: action.step.selector
+        }));
+      }
+      reportSteps.push(entry);
+      const startedAt = Date.now();
+
+      try {
+        if (item.type === 'navigation') {
+          if (userFlow) {
+            await userFlow.navigate(item.step.url, { name: item.name });
+            gathered.push(entry);
+          } else {
+            await page.goto(item.step.url, { waitUntil: 'networkidle2', timeout: STEP_TIMEOUT_MS });
+            // Wait a bit for dynamic content
+            await wait(2000);
+          }
+        } else if (item.type === 'timespan') {
+          if (userFlow) await userFlow.startTimespan({ name: item.name });
+          let actionError = null;
+          try {
+            for (const action of item.actions) {
+              throwIfAborted(signal);
+              await runAction(page, action.step);
+            }
+          } catch (err) {
+            actionError = err;
+          }
+          // Close the timespan even when an action failed, so the steps before it still get a report
+          if (userFlow) {
+            await userFlow.endTimespan();
+            gathered.push(entry);
+          }
+          if (actionError) throw actionError;
+        } else {
+          // Lighthouse emulates its own screen size; check the snapshot at the audit's viewport
+          await page.setViewport(viewport);
+          const criteria = await runChecks(page, checks, {
+            url: page.url(), lang, platform, keepState: true, auth, profile, signal, onProgress
+          });
+          entry.ux = { criteria, summary: summarizeCriteria(criteria) };
+        }
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        console.error(`User flow step "${item.name}" failed:`, err.message);
+        entry.error = err.message;
+      }
+
+      entry.url = page.url();
+      entry.durationMs = Date.now() - startedAt;
+      if (entry.error) break;
+    }
+
+    const result = {
+      name,
+      url: startUrl,
+      platform,
+      profile: profile.name,
+      lighthouse: Boolean(userFlow),
+      throttling: lighthouseOptions ? lighthouseOptions.throttling : null,
+      timestamp: new Date().toISOString(),
+      completed: !reportSteps.some(step => step.error) && reportSteps.length === planned.length,
+      steps: reportSteps
+    };
+
+    if (userFlow && gathered.length > 0) {
+      throwIfAborted(signal);
+      onProgress('lighthouse-processing', {});
+      const flowResult = await userFlow.createFlowResult();
+      flowResult.steps.forEach((flowStep, i) => {
+        if (gathered[i]) gathered[i].lighthouse = summarizeLighthouseResult(flowStep.lhr, lang);
+      });
+
+      if (artifacts) {
+        const { ReportGenerator } = await import('lighthouse/report/generator/report-generator.js');
+        result.artifacts = {
+          'report.html': ReportGenerator.generateFlowReportHtml(flowResult),
+          'report.json': JSON.stringify(flowResult)
+        };
+      }
+    }
+
+    result.summary = summarizeFlow(reportSteps, planned.length);
+    console.log('User flow completed');
+    return result;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new Error('User flow cancelled');
+    }
+    console.error('User flow error details:', error);
+    const wrapped = new Error(`User flow failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortHandler);
+    if (lease) {
+      await lease.release();
+      console.log('Browser context released');
+    }
+  }
+}
+
+module.exports = { runFlow, normalizeFlow, redactFlow };
@@ -0,0 +1,180 @@
+// File-based store of past audit results.
+// Every run is saved as <id>.json in the history directory; index.json keeps a
+// lightweight list of all runs (newest first) so listing doesn't read every report.
+// Large per-run files (e.g. the full Lighthouse report) are saved beside it as <id>.<name>.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const HISTORY_LIMIT = Math.max(1, parseInt(process.env.HISTORY_LIMIT, 10) || 500);
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+const HISTORY_TYPES = ['audit', 'ux', 'lighthouse', 'crawl', 'flow'];
+// Artifact names that can be stored with a run; they become part of the file name
+const ARTIFACT_NAMES = ['report.html', 'report.json'];
+
+let index = null;
+// All index updates go through this chain so concurrent saves don't overwrite each other
+let writeQueue = Promise.resolve();
+
+async function writeJsonAtomic(file, data) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpFile, JSON.stringify(data));
+  await fs.promises.rename(tmpFile, file);
+}
+
+async function loadIndex() {
+  if (index) return index;
+  await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+  try {
+    index = JSON.parse(await fs.promises.readFile(INDEX_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[History] Could not read history index, starting a new one:', err.message);
+    }
+    index = [];
+  }
+  return index;
+}
+
+// Compare URLs regardless of protocol defaults and trailing slashes
+function urlKey(url) {
+  if (!url) return '';
+  let normalized = url.trim();
+  if (!normalized.match(/^https?:\/\//i)) {
+    normalized = 'https://' + normalized;
+  }
+  try {
+    const parsed = new URL(normalized);
+    return (parsed.origin + parsed.pathname).replace(/\/+$/, '') + parsed.search;
+  } catch (e) {
+    return normalized.replace(/\/+$/, '');
+  }
+}
+
+// Short per-type summary shown in history listings
+function summarize(type, result) {
+  switch (type) {
+    case 'ux':
+      return {
+        averageScore: result.summary?.averageScore,
+        totalIssues: result.summary?.totalIssues,
+        devices: result.devices ? result.devices.map(device => device.name) : undefined
+      };
+    case 'lighthouse':
+      return {
+        performance: result.performance,
+        accessibility: result.accessibility,
+        bestPractices: result.bestPractices,
+        seo: result.seo
+      };
+    case 'flow':
+      return {
+        averageScore: result.summary?.averageScore,
+        steps: result.summary?.stepsTotal,
+        completed: result.completed
+      };
+    case 'crawl':
+      return {
+        averageScore: result.summary?.averageScore,
+        pagesAudited: result.summary?.pagesAudited,
+        totalIssues: result.summary?.totalIssues
+      };
+    default:
+      return {
+        platform: result.platform,
+        totalIssues: result.summary?.totalIssues
+      };
+  }
+}
+
+function artifactPath(id, name) {
+  return path.join(HISTORY_DIR, `${id}.${name}`);
+}
+
+// Save an audit result and return its history entry.
+// artifacts: optional { [name]: string } of extra files kept with the run (see ARTIFACT_NAMES)
+function saveResult(type, params, result, artifacts = {}) {
+  const artifactNames = Object.keys(artifacts);
+  const unknown = artifactNames.filter(name => !ARTIFACT_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return Promise.reject(new Error(`Unknown history artifacts: ${unknown.join(', ')}`));
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    url: result.url || result.startUrl || params.url,
+    lang: params.lang,
+    timestamp: result.timestamp || new Date().toISOString(),
+    summary: summarize(type, result)
+  };
+  if (artifactNames.length > 0) entry.artifacts = artifactNames;
+
+  const save = async () => {
+    const entries = await loadIndex();
+    await Promise.all(artifactNames.map(name => fs.promises.writeFile(artifactPath(entry.id, name), artifacts[name])));
+    await writeJsonAtomic(path.join(HISTORY_DIR, `${entry.id}.json`), { ...entry, params, result });
+    entries.unshift(entry);
+
+    // Drop the oldest runs beyond the limit
+    const removed = entries.splice(HISTORY_LIMIT);
+    await writeJsonAtomic(INDEX_FILE, entries);
+    await Promise.all(removed.map(old => {
+      const files = [`${old.id}.json`, ...(old.artifacts || []).map(name => `${old.id}.${name}`)];
+      return Promise.all(files.map(file => fs.promises.unlink(path.join(HISTORY_DIR, file)).catch(() => {})));
+    }));
+    return entry;
+  };
+
+  const saved = writeQueue.then(save);
+  writeQueue = saved.catch(() => {});
+  return saved;
+}
+
+// List runs, newest first, optionally filtered by URL and type
+async function listResults({ url, type, page = 1, limit = 20 } = {}) {
+  const entries = await loadIndex();
+  const key = url ? urlKey(url) : null;
+  const filtered = entries.filter(entry => {
+    if (type && entry.type !== type) return false;
+    if (key && urlKey(entry.url) !== key) return false;
+    return true;
+  });
+
+  const start = (page - 1) * limit;
+  return {
+    items: filtered.slice(start, start + limit),
+    total: filtered.length,
+    page,
+    limit
+  };
+}
+
+// Full stored record ({ id, type, url, timestamp, summary, params, result }) or null
+async function getResult(id) {
+  // IDs are UUIDs; anything else can't be a stored run (and mustn't reach the filesystem)
+  if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(HISTORY_DIR, `${id}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Path of an artifact stored with a run, or null if the run has no such artifact
+async function getArtifactPath(id, name) {
+  if (!/^[0-9a-f-]{36}$/i.test(id) || !ARTIFACT_NAMES.includes(name)) return null;
+  const file = artifactPath(id, name);
+  try {
+    await fs.promises.access(file);
+    // res.sendFile() needs an absolute path; HISTORY_DIR may be relative
+    return path.resolve(file);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { HISTORY_TYPES, saveResult, listResults, getResult, getArtifactPath };
@@ -0,0 +1,16 @@
+// Helpers for server-rendered HTML views
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,48 @@
+// Shared access to the lang/*.json translation files
+
+const SUPPORTED_LANGS = ['ru', 'en'];
+const DEFAULT_LANG = 'ru';
+
+function resolveLang(lang) {
+  return SUPPORTED_LANGS.includes(lang) ? lang : DEFAULT_LANG;
+}
+
+function getTranslations(lang) {
+  return require(`../lang/${resolveLang(lang)}.json`);
+}
+
+// Replace {name} placeholders with values from params, leaving unknown ones intact
+function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    return params[key] !== undefined && params[key] !== null ? String(params[key]) : match;
+  });
+}
+
+// Render a UX audit issue message by its stable ID, falling back to Russian and then to the ID itself
+function translateIssue(id, params, lang) {
+  const template = getTranslations(lang).uxAudit?.issues?.[id] ||
+    getTranslations(DEFAULT_LANG).uxAudit?.issues?.[id];
+  return template ? interpolate(template, params) : id;
+}
+
+// Localized name of a UX audit criterion by check ID, or null if the lang files don't define it
+function translateCriterion(id, lang) {
+  return getTranslations(lang).uxAudit?.criteria?.[id] || null;
+}
+
+// Render a job progress message by stage ("check-done", "lighthouse-gathering", ...)
+function translateProgress(stage, params, lang) {
+  const template = getTranslations(lang).progress?.[stage];
+  return template ? interpolate(template, params) : stage;
+}
+
+module.exports = {
+  SUPPORTED_LANGS,
+  DEFAULT_LANG,
+  resolveLang,
+  getTranslations,
+  interpolate,
+  translateIssue,
+  translateCriterion,
+  translateProgress
+};
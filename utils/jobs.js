@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { translateProgress } = require('./i18n');
+
+// Finished jobs are kept for this long so clients can fetch their results
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+// Public view of a job (without the abort controller and event emitter)
+function serializeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    result: includeResult ? job.result : undefined,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+function finishJob(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  job.events.emit('finished', serializeJob(job, { includeResult: false }));
+  job.events.removeAllListeners('progress');
+
+  const timer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+  timer.unref();
+}
+
+// Start a background job. `task({ signal, onProgress })` does the actual work and
+// resolves to the job result; onProgress(stage, params) records a progress event.
+function createJob(type, params, task) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'running',
+    params,
+    progress: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (stage, stageParams = {}) => {
+    if (isFinished(job)) return;
+    const event = {
+      stage,
+      params: stageParams,
+      message: translateProgress(stage, stageParams, params.lang),
+      timestamp: new Date().toISOString()
+    };
+    job.progress.push(event);
+    job.events.emit('progress', event);
+  };
+
+  Promise.resolve()
+    .then(() => task({ signal: job.controller.signal, onProgress }))
+    .then(result => {
+      if (job.status === 'running') {
+        finishJob(job, 'completed', { result });
+      }
+    })
+    .catch(err => {
+      if (job.status === 'running') {
+        finishJob(job, 'failed', { error: err.message });
+      }
+    });
+
+  console.log(`[Jobs] Started ${type} job ${job.id}`);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Cancel a running job; its task receives the abort signal and closes its browser
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!isFinished(job)) {
+    console.log(`[Jobs] Cancelling job ${id}`);
+    finishJob(job, 'cancelled', { error: 'Cancelled by user' });
+    job.controller.abort();
+  }
+  return job;
+}
+
+function deleteJob(id) {
+  return jobs.delete(id);
+}
+
+module.exports = { createJob, getJob, cancelJob, deleteJob, serializeJob, isFinished };
@@ -0,0 +1,97 @@
+// Readability of English and Russian text: Flesch Reading Ease and the Flesch-Kincaid grade level.
+// Russian words are longer and its sentences shorter than English ones, so Russian text is scored
+// with adapted coefficients: Oborneva's reading ease and the grade level used by plainrussian.ru.
+
+// reading ease = base - asl * ASL - asw * ASW; grade = asl * ASL + asw * ASW - offset
+// (ASL: average sentence length in words, ASW: average syllables per word)
+const FORMULAS = {
+  en: {
+    name: 'Flesch-Kincaid',
+    ease: { base: 206.835, asl: 1.015, asw: 84.6 },
+    grade: { asl: 0.39, asw: 11.8, offset: 15.59 }
+  },
+  ru: {
+    name: 'Flesch-Kincaid (adapted for Russian)',
+    ease: { base: 206.835, asl: 1.3, asw: 60.1 },
+    grade: { asl: 0.5, asw: 8.4, offset: 15.59 }
+  }
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const RUSSIAN_VOWELS = /[аеёиоуыэюя]/gi;
+
+function round(value, digits = 1) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// 'en' or 'ru' by the script most letters are in. The page's declared language only rules a text
+// out: a page in German or Ukrainian shares a script with them but needs formulas of its own.
+function detectLanguage(text, declared = '') {
+  const cyrillic = (text.match(/[а-яё]/gi) || []).length;
+  const latin = (text.match(/[a-z]/gi) || []).length;
+  if (cyrillic + latin === 0) return null;
+  const declaredLanguage = declared.toLowerCase().split('-')[0];
+  if (declaredLanguage && !FORMULAS[declaredLanguage]) return null;
+  return cyrillic > latin ? 'ru' : 'en';
+}
+
+function splitWords(text) {
+  return text.match(WORD_PATTERN) || [];
+}
+
+// Sentences end with ., !, ? or … followed by a space; a block without any is one sentence
+function splitSentences(text) {
+  return text.split(/(?<=[.!?…])\s+/).map(sentence => sentence.trim()).filter(sentence => splitWords(sentence).length > 0);
+}
+
+// Russian syllables are its vowels. English ones are guessed from vowel groups, without silent endings.
+function countSyllables(word, lang) {
+  if (lang === 'ru') {
+    return Math.max(1, (word.match(RUSSIAN_VOWELS) || []).length);
+  }
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// Words, sentences and syllables of a text, with the word count of every sentence
+function analyzeText(text, lang) {
+  const sentences = splitSentences(text).map(sentence => ({ text: sentence, words: splitWords(sentence).length }));
+  const words = splitWords(text);
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    syllables: words.reduce((total, word) => total + countSyllables(word, lang), 0),
+    sentenceLengths: sentences.map(sentence => sentence.words),
+    longestSentence: sentences.reduce((longest, sentence) => (!longest || sentence.words > longest.words ? sentence : longest), null)
+  };
+}
+
+// Reading ease and grade level from word, sentence and syllable counts (summed over several texts if need be)
+function readabilityScores({ words, sentences, syllables }, lang) {
+  const formula = FORMULAS[lang];
+  if (!formula || words === 0 || sentences === 0) return null;
+  const averageSentenceLength = words / sentences;
+  const averageSyllablesPerWord = syllables / words;
+  return {
+    formula: formula.name,
+    readingEase: round(formula.ease.base - formula.ease.asl * averageSentenceLength - formula.ease.asw * averageSyllablesPerWord),
+    grade: round(formula.grade.asl * averageSentenceLength + formula.grade.asw * averageSyllablesPerWord - formula.grade.offset),
+    averageSentenceLength: round(averageSentenceLength),
+    averageSyllablesPerWord: round(averageSyllablesPerWord, 2)
+  };
+}
+
+module.exports = {
+  FORMULAS,
+  detectLanguage,
+  splitWords,
+  splitSentences,
+  countSyllables,
+  analyzeText,
+  readabilityScores
+};
@@ -0,0 +1,331 @@
+// Client-facing reports for UX and Lighthouse results: a self-contained HTML page
+// (styles, logo and screenshots inlined) and a PDF printed from it by the pooled browser.
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+const { getTranslations, interpolate } = require('./i18n');
+const { detectResultType } = require('./diff');
+const { acquireBrowser } = require('./browser-pool');
+
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'bestPractices', 'seo'];
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+const brand = {
+  name: process.env.REPORT_BRAND_NAME || 'UX Audit',
+  // Only plain hex colors end up in the stylesheet
+  color: /^#[0-9a-f]{3,8}$/i.test(process.env.REPORT_BRAND_COLOR || '') ? process.env.REPORT_BRAND_COLOR : '#667eea',
+  logo: undefined
+};
+
+// Logo from REPORT_LOGO_PATH as a data: URI, read once
+function getLogo() {
+  if (brand.logo !== undefined) return brand.logo;
+  brand.logo = null;
+  const logoPath = process.env.REPORT_LOGO_PATH;
+  if (logoPath) {
+    const type = LOGO_TYPES[path.extname(logoPath).toLowerCase()];
+    try {
+      if (!type) throw new Error('unsupported image type');
+      brand.logo = `data:${type};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+    } catch (err) {
+      console.error(`[Report] Could not load logo ${logoPath}:`, err.message);
+    }
+  }
+  return brand.logo;
+}
+
+// Only inline images are allowed so the report never loads anything from the network
+function isInlineImage(src) {
+  return typeof src === 'string' && /^data:image\/(png|jpeg|webp|gif);base64,[a-z0-9+/=]+$/i.test(src);
+}
+
+function collectScreenshots(result, t) {
+  const screenshots = [];
+  if (Array.isArray(result.screenshots)) {
+    result.screenshots.forEach(shot => {
+      if (shot && isInlineImage(shot.data)) screenshots.push({ label: shot.label || '', data: shot.data });
+    });
+  }
+  if (isInlineImage(result.screenshot)) {
+    screenshots.push({ label: t.pageScreenshot || 'Screenshot', data: result.screenshot });
+  }
+  return screenshots;
+}
+
+function scoreClass(score, type) {
+  // Lighthouse uses its own 90/50 bands; UX criteria are coarser
+  const [good, average] = type === 'lighthouse' ? [90, 50] : [80, 60];
+  if (score >= good) return 'good';
+  if (score >= average) return 'average';
+  return 'poor';
+}
+
+function formatSavings(issue, t) {
+  const parts = [];
+  if (issue.savings) {
+    parts.push(issue.savings >= 1000 ? `${(issue.savings / 1000).toFixed(1)} ${t.s || 's'}` : `${issue.savings} ${t.ms || 'ms'}`);
+  }
+  if (issue.savingsBytes) {
+    parts.push(issue.savingsBytes >= 1024 * 1024
+      ? `${(issue.savingsBytes / (1024 * 1024)).toFixed(1)} ${t.mb || 'MB'}`
+      : `${Math.round(issue.savingsBytes / 1024)} ${t.kb || 'KB'}`);
+  }
+  Object.entries(issue.metricSavings || {}).forEach(([metric, value]) => {
+    parts.push(metric === 'CLS' ? `CLS −${value}` : `${metric} −${value} ${t.ms || 'ms'}`);
+  });
+  return parts.join(' · ');
+}
+
+function renderScoreCards(scores, type) {
+  return `<div class="scores">${scores.map(({ label, score }) => `
+      <div class="score ${scoreClass(score, type)}">
+        <div class="score-value">${escapeHtml(score ?? '—')}</div>
+        <div class="score-label">${escapeHtml(label)}</div>
+      </div>`).join('')}
+    </div>`;
+}
+
+// WCAG criteria an issue relates to, as small tags after its text
+function renderWcagTags(issue) {
+  if (!Array.isArray(issue.wcag)) return '';
+  return issue.wcag.map(criterion => ` <span class="wcag" title="${escapeHtml(criterion.name)}">WCAG ${escapeHtml(criterion.id)} ${escapeHtml(criterion.level)}</span>`).join('');
+}
+
+// Conformance summary (see utils/wcag.js): totals, then every listed criterion grouped by principle
+function renderWcagSection(wcag, t) {
+  if (!wcag || !Array.isArray(wcag.criteria)) return '';
+  const w = t.wcag || {};
+  const statuses = w.statuses || {};
+  const principles = w.principles || {};
+  const groups = Array.from(new Set(wcag.criteria.map(criterion => criterion.principle)));
+
+  return `
+      <h2>${escapeHtml(interpolate(w.title || 'WCAG {version} conformance (level {level})', wcag))}</h2>
+      <p class="wcag-summary">${escapeHtml(interpolate(w.summary || '{checked} checked: {passed} passed, {failed} failed. {notChecked} not checked, {manual} need a manual review.', wcag.summary))}</p>
+      <p class="description">${escapeHtml(w.note || 'Automated tests cannot confirm conformance: passed criteria still need a manual review.')}</p>
+      ${groups.map(principle => `
+      <table class="wcag-table">
+        <caption>${escapeHtml(principles[principle] || principle)}</caption>
+        ${wcag.criteria.filter(criterion => criterion.principle === principle).map(criterion => `
+        <tr class="${escapeHtml(criterion.status)}">
+          <td>${escapeHtml(criterion.id)}</td>
+          <td>${escapeHtml(criterion.name)}</td>
+          <td>${escapeHtml(criterion.level)}</td>
+          <td>${escapeHtml(statuses[criterion.status] || criterion.status)}${criterion.findings.length > 0 ? `: ${escapeHtml(criterion.findings.join(', '))}` : ''}</td>
+        </tr>`).join('')}
+      </table>`).join('')}`;
+}
+
+function renderUXBody(result, t) {
+  const summary = result.summary || {};
+  const summaryRows = [
+    [t.overallScore, `${summary.averageScore ?? '—'}/100`],
+    [t.totalIssues, summary.totalIssues],
+    [t.criteriaWithIssues, `${summary.criteriaWithIssues ?? '—'} / ${summary.criteriaTotal ?? result.criteria.length}`]
+  ];
+  if (result.platform) summaryRows.unshift([t.platform, result.platform]);
+  if (result.devices) summaryRows.unshift([t.devices, result.devices.map(device => device.name).join(', ')]);
+  if (result.profile) summaryRows.push([t.scoringProfile, result.profile]);
+  const severities = t.severities || {};
+
+  const criteria = result.criteria.map(criterion => {
+    const issues = (criterion.issues || []).map(issue => (typeof issue === 'string' ? { message: issue } : issue));
+    // Device matrix audits score each device separately; the criterion score is the worst of them
+    const deviceScores = criterion.devices
+      ? `<p class="devices">${criterion.devices.map(run => `${escapeHtml(run.device)}: <span class="value">${escapeHtml(run.score ?? '—')}</span>`).join(' · ')}</p>`
+      : '';
+    return `
+      <section class="group">
+        <h3>${escapeHtml(criterion.criterion)} <span class="badge ${scoreClass(criterion.score || 0, 'ux')}">${escapeHtml(criterion.score ?? '—')}</span></h3>
+        ${criterion.scoring ? `<p class="devices">${escapeHtml(interpolate(t.scoreExplanation || '{base} − {deductions} = {score}, weight {weight}', criterion.scoring))}</p>` : ''}
+        ${deviceScores}
+        ${issues.length > 0
+          ? `<ul class="issues">${issues.map(issue => `<li>${issue.annotation ? `<span class="marker">${Number(issue.annotation)}</span>` : ''}${issue.severity ? `<span class="severity ${escapeHtml(issue.severity)}">${escapeHtml(severities[issue.severity] || issue.severity)} −${escapeHtml(issue.penalty)}</span>` : ''}${escapeHtml(issue.message)}${renderWcagTags(issue)}${issue.devices ? ` <span class="value">(${escapeHtml(issue.devices.join(', '))})</span>` : ''}</li>`).join('')}</ul>`
+          : `<p class="empty">✓ ${escapeHtml(t.noIssues || 'No issues found')}</p>`}
+      </section>`;
+  }).join('');
+
+  return {
+    title: t.uxTitle || 'UX Audit Report',
+    summaryRows,
+    scores: renderScoreCards(result.criteria.map(c => ({ label: c.criterion, score: c.score })), 'ux'),
+    issues: criteria
+  };
+}
+
+function renderLighthouseBody(result, t) {
+  const labels = t.categories || {};
+  // Runs limited to some categories leave the others null
+  const measured = LIGHTHOUSE_CATEGORIES.filter(category => typeof result[category] === 'number');
+  const summaryRows = [];
+  if (result.platform) summaryRows.push([t.platform, result.platform]);
+  if (result.throttling) summaryRows.push([t.throttling, result.throttling]);
+
+  const categories = measured.map(category => {
+    const issues = result.issues?.[category] || [];
+    return `
+      <section class="group">
+        <h3>${escapeHtml(labels[category] || category)} <span class="badge ${scoreClass(result[category], 'lighthouse')}">${escapeHtml(result[category])}</span></h3>
+        ${issues.length > 0 ? `<ul class="issues">${issues.map(issue => {
+          const savings = formatSavings(issue, t);
+          return `
+          <li>
+            <strong>${escapeHtml(issue.title)}</strong>${issue.displayValue ? ` <span class="value">${escapeHtml(issue.displayValue)}</span>` : ''}${renderWcagTags(issue)}
+            ${issue.description ? `<div class="description">${escapeHtml(issue.description)}</div>` : ''}
+            ${savings ? `<div class="savings">${escapeHtml(t.savings || 'Potential savings')}: ${escapeHtml(savings)}</div>` : ''}
+          </li>`;
+        }).join('')}</ul>` : `<p class="empty">✓ ${escapeHtml(t.noIssues || 'No issues found')}</p>`}
+      </section>`;
+  }).join('');
+
+  return {
+    title: t.lighthouseTitle || 'Lighthouse Report',
+    summaryRows,
+    scores: renderScoreCards(measured.map(category => ({
+      label: labels[category] || category,
+      score: result[category]
+    })), 'lighthouse'),
+    issues: categories
+  };
+}
+
+// Render a UX or Lighthouse result as a standalone report page; throws for other result types
+function renderReportHtml(result, lang = 'ru') {
+  const type = detectResultType(result);
+  if (!type) {
+    throw new Error('Only UX audit and Lighthouse results can be exported');
+  }
+
+  const t = getTranslations(lang).report || {};
+  const locale = lang === 'ru' ? 'ru-RU' : 'en-US';
+  const body = type === 'ux' ? renderUXBody(result, t) : renderLighthouseBody(result, t);
+  const summaryRows = [
+    [t.auditedUrl, result.url],
+    [t.auditedAt, result.timestamp ? new Date(result.timestamp).toLocaleString(locale) : '—'],
+    ...body.summaryRows
+  ];
+  const screenshots = collectScreenshots(result, t);
+  const logo = getLogo();
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(body.title)} · ${escapeHtml(result.url)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; padding: 40px 20px; color: #1a1a1a; }
+    .container { max-width: 900px; margin: 0 auto; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.05); }
+    header { background: ${brand.color}; color: white; padding: 32px 40px; display: flex; align-items: center; gap: 20px; }
+    header img { max-height: 48px; max-width: 160px; }
+    header .brand { font-size: 14px; opacity: 0.85; letter-spacing: 0.5px; text-transform: uppercase; }
+    header h1 { font-size: 1.8em; font-weight: 600; }
+    main { padding: 32px 40px 48px; }
+    h2 { font-size: 1.2em; font-weight: 600; margin: 36px 0 16px; padding-bottom: 8px; border-bottom: 2px solid ${brand.color}; }
+    h3 { font-size: 1.05em; font-weight: 600; margin-bottom: 10px; display: flex; align-items: center; gap: 10px; }
+    table.summary { border-collapse: collapse; font-size: 14px; }
+    table.summary th { text-align: left; color: #666; font-weight: 400; padding: 6px 24px 6px 0; }
+    table.summary td { padding: 6px 0; word-break: break-all; }
+    .scores { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 16px; }
+    .score { border: 2px solid #e0e0e0; border-radius: 8px; padding: 16px; text-align: center; break-inside: avoid; }
+    .score-value { font-size: 2em; font-weight: 700; }
+    .score-label { font-size: 13px; color: #666; margin-top: 4px; }
+    .score.good { border-color: #2e7d32; } .score.good .score-value { color: #2e7d32; }
+    .score.average { border-color: #f57c00; } .score.average .score-value { color: #f57c00; }
+    .score.poor { border-color: #d32f2f; } .score.poor .score-value { color: #d32f2f; }
+    .badge { font-size: 12px; color: white; border-radius: 10px; padding: 2px 10px; }
+    .badge.good { background: #2e7d32; } .badge.average { background: #f57c00; } .badge.poor { background: #d32f2f; }
+    .group { margin-bottom: 28px; break-inside: avoid-page; }
+    .issues { list-style: none; }
+    .issues li { padding: 10px 12px; margin-bottom: 6px; border-left: 3px solid ${brand.color}; background: #fafafa; font-size: 14px; break-inside: avoid; }
+    .marker { display: inline-block; background: #d32f2f; color: white; font-size: 12px; font-weight: 700; border-radius: 2px; padding: 0 5px; margin-right: 8px; }
+    .description { color: #666; font-size: 13px; margin-top: 4px; }
+    .value { color: ${brand.color}; font-weight: 600; }
+    .savings { color: #2e7d32; font-size: 13px; margin-top: 4px; }
+    .empty { color: #2e7d32; font-size: 14px; }
+    .devices { font-size: 13px; color: #666; margin-bottom: 8px; }
+    .severity { display: inline-block; font-size: 11px; font-weight: 600; color: white; border-radius: 10px; padding: 0 8px; margin-right: 8px; background: #757575; }
+    .severity.critical { background: #d32f2f; } .severity.major { background: #f57c00; }
+    .wcag { font-size: 11px; color: #555; border: 1px solid #ccc; border-radius: 2px; padding: 0 4px; white-space: nowrap; }
+    .wcag-summary { font-size: 14px; margin-bottom: 4px; }
+    table.wcag-table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 16px; break-inside: avoid; }
+    table.wcag-table caption { text-align: left; font-weight: 600; padding-bottom: 6px; }
+    table.wcag-table td { padding: 4px 8px; border-bottom: 1px solid #eee; }
+    table.wcag-table tr.failed td { color: #d32f2f; } table.wcag-table tr.passed td { color: #2e7d32; }
+    table.wcag-table tr.manual td, table.wcag-table tr.not-checked td { color: #888; }
+    figure { margin-bottom: 24px; break-inside: avoid; }
+    figure img { max-width: 100%; border: 1px solid #e0e0e0; border-radius: 4px; }
+    figcaption { color: #666; font-size: 13px; margin-top: 6px; }
+    footer { color: #999; font-size: 12px; padding: 0 40px 32px; }
+    @media print {
+      body { background: white; padding: 0; }
+      .container { box-shadow: none; border-radius: 0; max-width: none; }
+      header { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header>
+      ${logo ? `<img src="${logo}" alt="">` : ''}
+      <div>
+        <div class="brand">${escapeHtml(brand.name)}</div>
+        <h1>${escapeHtml(body.title)}</h1>
+      </div>
+    </header>
+    <main>
+      <table class="summary">
+        ${summaryRows.map(([label, value]) => `<tr><th>${escapeHtml(label || '')}</th><td>${escapeHtml(String(value ?? '—'))}</td></tr>`).join('')}
+      </table>
+
+      <h2>${escapeHtml(t.scores || 'Scores')}</h2>
+      ${body.scores}
+
+      <h2>${escapeHtml(t.issues || 'Issues')}</h2>
+      ${body.issues}
+      ${renderWcagSection(result.wcag, t)}
+
+      ${screenshots.length > 0 ? `
+      <h2>${escapeHtml(t.screenshots || 'Screenshots')}</h2>
+      ${screenshots.map(shot => `
+      <figure>
+        <img src="${shot.data}" alt="${escapeHtml(shot.label)}">
+        ${shot.label ? `<figcaption>${escapeHtml(shot.label)}</figcaption>` : ''}
+      </figure>`).join('')}` : ''}
+    </main>
+    <footer>${escapeHtml(t.generated || 'Generated')}: ${escapeHtml(new Date().toLocaleString(locale))}</footer>
+  </div>
+</body>
+</html>`;
+}
+
+// Print report HTML to an A4 PDF in a pooled browser. The HTML may come from a client, so it gets
+// no scripts and no network: the report inlines everything it shows.
+async function renderReportPdf(html, { signal } = {}) {
+  const lease = await acquireBrowser({ signal });
+  try {
+    const page = await lease.context.newPage();
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.url().startsWith('data:')) {
+        request.continue();
+      } else {
+        request.abort('blockedbyclient');
+      }
+    });
+    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '16mm', bottom: '16mm', left: '12mm', right: '12mm' }
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await lease.release();
+  }
+}
+
+module.exports = { renderReportHtml, renderReportPdf };
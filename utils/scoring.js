@@ -0,0 +1,157 @@
+// Scoring profiles: how UX criteria are scored from their issues.
+// A profile is a JSON file (scoring/*.json, plus SCORING_PROFILES_DIR) of the form
+//   {
+//     "name": "default", "description": "...",
+//     "severities": { "critical": { "penalty": 30, "perItem": 2, "maxPenalty": 60 }, "major": {...}, "minor": {...} },
+//     "defaultSeverity": "major",
+//     "issues": { "accessibility.unlabeled-inputs": "critical", "visual.no-cta": { "severity": "minor", "penalty": 3 } },
+//     "weights": { "accessibility": 1.5 }
+//   }
+// An issue costs its severity's penalty, plus perItem for every element after the first when the
+// issue counts them (params.count), up to maxPenalty. A criterion scores 100 minus the penalties of
+// its issues; weights set each criterion's share of the overall score (the check's own weight otherwise).
+
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+const DEFAULT_PROFILE = 'default';
+const BUILT_IN_DIR = path.join(__dirname, '..', 'scoring');
+
+const profiles = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// { penalty, perItem, maxPenalty } of a severity or an issue override; missing fields stay undefined
+function normalizePenalty(rule, where) {
+  const penalty = {};
+  ['penalty', 'perItem', 'maxPenalty'].forEach(key => {
+    if (rule[key] === undefined) return;
+    if (!isNonNegative(rule[key])) throw new Error(`${where}.${key} must be a non-negative number`);
+    penalty[key] = rule[key];
+  });
+  return penalty;
+}
+
+// Validate a scoring profile and fill in defaults; throws on invalid input
+function normalizeProfile(profile) {
+  if (!isPlainObject(profile)) throw new Error('Scoring profile must be an object');
+  if (typeof profile.name !== 'string' || !profile.name) throw new Error('Scoring profile must have a name');
+  const where = `Scoring profile "${profile.name}"`;
+
+  if (!isPlainObject(profile.severities)) throw new Error(`${where} must have severities`);
+  const severities = {};
+  SEVERITIES.forEach(severity => {
+    const rule = profile.severities[severity];
+    if (!isPlainObject(rule) || !isNonNegative(rule.penalty)) {
+      throw new Error(`${where}: severities.${severity} must have a penalty`);
+    }
+    severities[severity] = { perItem: 0, maxPenalty: 100, ...normalizePenalty(rule, `${where}: severities.${severity}`) };
+  });
+
+  const defaultSeverity = profile.defaultSeverity || 'major';
+  if (!SEVERITIES.includes(defaultSeverity)) {
+    throw new Error(`${where}: defaultSeverity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  const issues = {};
+  Object.entries(profile.issues || {}).forEach(([id, rule]) => {
+    const normalized = typeof rule === 'string' ? { severity: rule } : rule;
+    if (!isPlainObject(normalized) || !SEVERITIES.includes(normalized.severity)) {
+      throw new Error(`${where}: issues.${id} must name a severity (${SEVERITIES.join(', ')})`);
+    }
+    issues[id] = { severity: normalized.severity, ...normalizePenalty(normalized, `${where}: issues.${id}`) };
+  });
+
+  const weights = {};
+  Object.entries(profile.weights || {}).forEach(([id, weight]) => {
+    if (!isNonNegative(weight)) throw new Error(`${where}: weights.${id} must be a non-negative number`);
+    weights[id] = weight;
+  });
+
+  return {
+    name: profile.name,
+    description: typeof profile.description === 'string' ? profile.description : '',
+    severities,
+    defaultSeverity,
+    issues,
+    weights
+  };
+}
+
+// Load every .json profile in a directory; a profile with the same name replaces an earlier one.
+// Returns the names of the loaded profiles.
+function loadProfilesFromDirectory(dir) {
+  const resolvedDir = path.resolve(dir);
+  if (!fs.existsSync(resolvedDir)) {
+    throw new Error(`Scoring profiles directory not found: ${resolvedDir}`);
+  }
+
+  return fs.readdirSync(resolvedDir).filter(file => file.endsWith('.json')).sort().map(file => {
+    const profile = normalizeProfile(JSON.parse(fs.readFileSync(path.join(resolvedDir, file), 'utf8')));
+    profiles.set(profile.name, profile);
+    return profile.name;
+  });
+}
+
+function listProfiles() {
+  return Array.from(profiles.values()).map(({ name, description }) => ({ name, description }));
+}
+
+// A profile by name, an inline profile object or, when nothing is given, the default profile
+function resolveProfile(profile) {
+  if (profile === undefined || profile === null || profile === '') {
+    return profiles.get(DEFAULT_PROFILE);
+  }
+  if (isPlainObject(profile)) {
+    return normalizeProfile(profile);
+  }
+  if (typeof profile !== 'string' || !profiles.has(profile)) {
+    throw new Error(`Unknown scoring profile: ${profile} (available: ${Array.from(profiles.keys()).join(', ')})`);
+  }
+  return profiles.get(profile);
+}
+
+// Score one criterion's issues. Returns the score, the issues with their severity and penalty,
+// and an explanation: { profile, weight, base, deductions, score }.
+function scoreCriterion(check, issues, profile) {
+  let deductions = 0;
+  const scored = issues.map(issue => {
+    const rule = (issue.id && profile.issues[issue.id]) || { severity: profile.defaultSeverity };
+    const { penalty, perItem, maxPenalty } = { ...profile.severities[rule.severity], ...rule };
+    const count = issue.params && Number.isInteger(issue.params.count) && issue.params.count > 1 ? issue.params.count : 1;
+    const issuePenalty = Math.round(Math.min(maxPenalty, penalty + perItem * (count - 1)) * 10) / 10;
+    deductions += issuePenalty;
+    return { ...issue, severity: rule.severity, penalty: issuePenalty };
+  });
+
+  const score = Math.max(0, Math.round(100 - deductions));
+  const weight = profile.weights[check.id] !== undefined ? profile.weights[check.id] : check.weight;
+  return {
+    score,
+    weight,
+    issues: scored,
+    scoring: { profile: profile.name, weight, base: 100, deductions: Math.round(deductions * 10) / 10, score }
+  };
+}
+
+loadProfilesFromDirectory(BUILT_IN_DIR);
+if (process.env.SCORING_PROFILES_DIR) {
+  const loaded = loadProfilesFromDirectory(process.env.SCORING_PROFILES_DIR);
+  console.log(`Loaded scoring profiles: ${loaded.join(', ')}`);
+}
+
+module.exports = {
+  SEVERITIES,
+  normalizeProfile,
+  loadProfilesFromDirectory,
+  listProfiles,
+  resolveProfile,
+  scoreCriterion
+};
@@ -1,4 +1,11 @@
-// puppeteer may be an ES module, will be imported dynamically
+const { translateIssue, translateCriterion, getTranslations } = require('./i18n');
+const { KnownDevices } = require('puppeteer');
+const { acquireBrowser } = require('./browser-pool');
+const { INTERCEPT_PRIORITY, normalizeAuth, applyAuth, applyRequestAuth } = require('./auth');
+const { resolveProfile, scoreCriterion } = require('./scoring');
+const { normalizeCriteriaMap, tagIssues, testedCriteria, summarizeUXConformance } = require('./wcag');
+const { detectLanguage, analyzeText, readabilityScores } = require('./readability');
+const { WHITE, getRelativeLuminance, formatColor, resolveBackground, measureContrast } = require('./contrast');
 
 // Helper function to wait (replacement for deprecated waitForTimeout)
 function wait(ms) {
@@ -15,13 +22,6 @@ function normalizeUrl(url) {
   return url;
 }
 
-// Calculate contrast ratio between two colors
-function getContrastRatio(color1, color2) {
-  // Simplified contrast calculation
-  // In real implementation, would need to parse RGB and calculate luminance
-  return 4.5; // Placeholder
-}
-
 // Check if element is visible
 function isElementVisible(element) {
   if (!element) return false;
@@ -33,14 +33,391 @@ function isElementVisible(element) {
          element.offsetHeight > 0;
 }
 
+// Stop a run early when its job has been cancelled
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Audit cancelled');
+  }
+}
+
 // Extract text content safely
 function getTextContent(element) {
   if (!element) return '';
   return element.textContent?.trim() || '';
 }
 
-async function runUXAudit(url, lang = 'ru') {
-  let browser = null;
+// Viewport the page is loaded in before the checks run
+const PLATFORM_VIEWPORTS = {
+  web: { width: 1920, height: 1080 },
+  mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+};
+
+// A device matrix audit runs the checks once per device; more would make one audit take minutes
+const MAX_DEVICES = 10;
+
+// Resolve a device matrix into { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }.
+// Entries are Puppeteer device names ("iPad Mini", "iPhone 15 Pro landscape"; case-insensitive),
+// the platform presets "web" and "mobile", "<width>x<height>" breakpoints or custom objects
+// { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }. Throws on unknown entries.
+function resolveDevices(devices) {
+  if (!Array.isArray(devices)) {
+    throw new Error('devices must be an array');
+  }
+  if (devices.length > MAX_DEVICES) {
+    throw new Error(`At most ${MAX_DEVICES} devices can be audited at once`);
+  }
+
+  const knownByName = new Map(Object.keys(KnownDevices).map(name => [name.toLowerCase(), KnownDevices[name]]));
+  const unknown = [];
+  const resolved = devices.map(device => {
+    if (typeof device === 'string') {
+      const name = device.trim();
+      const known = knownByName.get(name.toLowerCase());
+      if (known) {
+        const { width, height, deviceScaleFactor = 1, isMobile = false, hasTouch = false } = known.viewport;
+        return { name: known.name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent: known.userAgent };
+      }
+      if (PLATFORM_VIEWPORTS[name]) {
+        const { width, height, deviceScaleFactor = 1, isMobile = false, hasTouch = false } = PLATFORM_VIEWPORTS[name];
+        return { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent: null };
+      }
+      const breakpoint = name.match(/^(\d{2,5})x(\d{2,5})$/);
+      if (breakpoint) {
+        return { name, width: Number(breakpoint[1]), height: Number(breakpoint[2]), deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null };
+      }
+      unknown.push(name);
+      return null;
+    }
+
+    if (!device || typeof device !== 'object' || !Number.isInteger(device.width) || !Number.isInteger(device.height) ||
+        device.width < 1 || device.height < 1) {
+      throw new Error('Custom devices need integer width and height');
+    }
+    return {
+      name: typeof device.name === 'string' && device.name ? device.name : `${device.width}x${device.height}`,
+      width: device.width,
+      height: device.height,
+      deviceScaleFactor: typeof device.deviceScaleFactor === 'number' && device.deviceScaleFactor > 0 ? device.deviceScaleFactor : 1,
+      isMobile: device.isMobile === true,
+      hasTouch: device.hasTouch === true,
+      userAgent: typeof device.userAgent === 'string' && device.userAgent ? device.userAgent : null
+    };
+  });
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown devices: ${unknown.join(', ')}`);
+  }
+  const names = resolved.map(device => device.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Device "${duplicate}" is listed twice`);
+  }
+  return resolved;
+}
+
+function listDevices() {
+  return Object.keys(KnownDevices);
+}
+
+// Longer pages are cut off so a screenshot stays a reasonable size
+const MAX_SCREENSHOT_HEIGHT = 6000;
+const ANNOTATION_LAYER_ID = '__ux-audit-annotations';
+
+// Installed in the page (on every load) as window.__uxAudit, so checks can point at the
+// offending elements. describeElements(list, getValues) returns evidence for the first few
+// of them: { elements: [{ selector, xpath, html, rect, values }], elementsTotal, elementsOmitted },
+// where values are the computed values that failed (from getValues(element)).
+// Runs in the browser, so it must not use anything from this module.
+function installPageHelpers() {
+  if (window.__uxAudit) return;
+  const MAX_ELEMENTS = 20;
+  const MAX_HTML_LENGTH = 200;
+
+  const uniqueId = el => el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1;
+  const sameTagSiblings = el => {
+    return el.parentElement ? Array.from(el.parentElement.children).filter(child => child.tagName === el.tagName) : [el];
+  };
+
+  // Shortest "#id > tag:nth-of-type(n)" path that matches only this element
+  function selectorFor(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    const parts = [];
+    for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+      if (uniqueId(el)) {
+        parts.unshift(`#${CSS.escape(el.id)}`);
+        break;
+      }
+      let part = el.tagName.toLowerCase();
+      const siblings = sameTagSiblings(el);
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+
+  function xpathFor(element) {
+    const parts = [];
+    for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+      if (uniqueId(el) && !el.id.includes('"')) {
+        parts.unshift(`//*[@id="${el.id}"]`);
+        return parts.join('/');
+      }
+      const siblings = sameTagSiblings(el);
+      // XPath has no namespace-free name for SVG and other foreign elements
+      const name = el.namespaceURI === 'http://www.w3.org/1999/xhtml' ? el.tagName.toLowerCase() : `*[name()="${el.tagName}"]`;
+      parts.unshift(siblings.length > 1 ? `${name}[${siblings.indexOf(el) + 1}]` : name);
+    }
+    return '/' + parts.join('/');
+  }
+
+  function htmlSnippet(element) {
+    const html = element.outerHTML.replace(/\s+/g, ' ');
+    return html.length > MAX_HTML_LENGTH ? html.substring(0, MAX_HTML_LENGTH) + '…' : html;
+  }
+
+  function rectFor(element) {
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  }
+
+  function describeElements(elements, getValues) {
+    const list = Array.from(elements || []).filter(el => el && el.nodeType === Node.ELEMENT_NODE);
+    const described = list.slice(0, MAX_ELEMENTS).map(el => ({
+      selector: selectorFor(el),
+      xpath: xpathFor(el),
+      html: htmlSnippet(el),
+      rect: rectFor(el),
+      values: getValues ? getValues(el, window.getComputedStyle(el)) : {}
+    }));
+    return {
+      elements: described,
+      elementsTotal: list.length,
+      elementsOmitted: list.length - described.length
+    };
+  }
+
+  // Text of a form control's label: <label for>, a wrapping <label>, aria-labelledby, aria-label or title.
+  // Placeholders don't count, as they disappear as soon as the user types.
+  function labelText(control) {
+    const labelledBy = (control.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+      .map(id => document.getElementById(id)).filter(Boolean).map(el => el.textContent);
+    const labels = Array.from(control.labels || []).map(label => label.textContent);
+    return [...labelledBy, control.getAttribute('aria-label'), ...labels, control.getAttribute('title')]
+      .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  window.__uxAudit = { selectorFor, describeElements, labelText };
+}
+
+// Draw a numbered box around the elements of every annotated issue (runs in the browser).
+// Returns how many boxes each issue got, as elements may be hidden at this viewport.
+function drawAnnotations(annotations, layerId) {
+  const layer = document.createElement('div');
+  layer.id = layerId;
+  layer.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  const drawn = annotations.map(({ number, selectors }) => {
+    let boxes = 0;
+    selectors.forEach(selector => {
+      let element = null;
+      try {
+        element = document.querySelector(selector);
+      } catch (e) {
+        // Selector no longer valid after the page changed
+      }
+      if (!element) return;
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+
+      const top = rect.top + window.scrollY;
+      const box = document.createElement('div');
+      box.style.cssText = `position:absolute;left:${rect.left + window.scrollX}px;top:${top}px;` +
+        `width:${rect.width}px;height:${rect.height}px;border:2px solid #d32f2f;box-sizing:border-box;`;
+      const label = document.createElement('span');
+      label.textContent = String(number);
+      // Labels sit above the box unless that would put them off the page
+      label.style.cssText = `position:absolute;left:-2px;top:${top < 20 ? 0 : -20}px;background:#d32f2f;color:#fff;` +
+        'font:bold 12px/18px Arial,sans-serif;padding:0 5px;border-radius:2px;';
+      box.appendChild(label);
+      layer.appendChild(box);
+      boxes++;
+    });
+    return { number, boxes };
+  });
+
+  document.documentElement.appendChild(layer);
+  return drawn;
+}
+
+// Number every issue that points at elements and capture full-page screenshots at
+// desktop and mobile size with those elements boxed. Issues get their number as `annotation`.
+// targets: [{ platform } | { device }] to capture; the desktop and mobile platforms by default
+async function captureAnnotatedScreenshots(page, criteria, lang, signal, targets = [{ platform: 'web' }, { platform: 'mobile' }]) {
+  const annotations = [];
+  criteria.forEach(criterion => {
+    criterion.issues.forEach(issue => {
+      // A box around the whole page (e.g. a body font-size finding) wouldn't point at anything
+      const selectors = (issue.elements || [])
+        .map(element => element.selector)
+        .filter(selector => selector && selector !== 'html' && selector !== 'html > body');
+      if (selectors.length === 0) return;
+      issue.annotation = annotations.length + 1;
+      annotations.push({ number: issue.annotation, selectors });
+    });
+  });
+
+  const labels = getTranslations(lang).uxAudit?.screenshots || {};
+  const screenshots = [];
+  for (const { platform, device } of targets) {
+    throwIfAborted(signal);
+    // One CSS pixel per image pixel keeps mobile screenshots small
+    const viewport = device
+      ? { width: device.width, height: device.height, deviceScaleFactor: 1, isMobile: device.isMobile, hasTouch: device.hasTouch }
+      : { ...PLATFORM_VIEWPORTS[platform], deviceScaleFactor: 1 };
+    await page.setViewport(viewport);
+    await wait(500);
+
+    const drawn = await page.evaluate(drawAnnotations, annotations, ANNOTATION_LAYER_ID);
+    const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+    const height = Math.min(pageHeight, MAX_SCREENSHOT_HEIGHT);
+    const data = await page.screenshot({
+      type: 'jpeg',
+      quality: 60,
+      encoding: 'base64',
+      clip: { x: 0, y: 0, width: viewport.width, height },
+      captureBeyondViewport: true
+    });
+    await page.evaluate(layerId => document.getElementById(layerId)?.remove(), ANNOTATION_LAYER_ID);
+
+    screenshots.push({
+      ...(device ? { device: device.name } : { platform }),
+      label: device ? `${device.name} · ${viewport.width}px` : `${labels[platform] || platform} · ${viewport.width}px`,
+      width: viewport.width,
+      height,
+      truncated: pageHeight > MAX_SCREENSHOT_HEIGHT,
+      data: `data:image/jpeg;base64,${data}`,
+      annotations: drawn
+    });
+  }
+  return screenshots;
+}
+
+// Run checks on an already loaded page and return their criteria.
+// Checks share one page and some of them resize or reload it, so they run one after another
+// rather than in parallel. keepState tells checks the page holds state from earlier user-flow
+// steps (filled forms, opened dialogs) that a reload would lose. device is set in a device matrix
+// audit (see resolveDevices): the page is already emulating it, and checks whose appliesTo(device)
+// is false are skipped. Criteria are scored from their issues by the scoring profile
+// (see utils/scoring.js; the default profile when none is given), not by the checks themselves.
+// auth (normalized, see utils/auth.js) lets checks open their own pages on the audited site.
+async function runChecks(page, checks, { url, lang, platform, device = null, keepState = false, auth = null, profile, signal, onProgress = () => {} }) {
+  const scoringProfile = profile || resolveProfile();
+  const criteria = [];
+  for (const check of checks) {
+    throwIfAborted(signal);
+    if (device && check.appliesTo && !check.appliesTo(device)) continue;
+    const name = translateCriterion(check.id, lang) || check.name[lang] || check.name.ru || check.criterion;
+    console.log(`Running UX check: ${check.id}${device ? ` (${device.name})` : ''}`);
+    onProgress('check-started', { check: check.id, name });
+    const checkResult = await check.run(page, { url, lang, platform, device, keepState, auth });
+    const scored = scoreCriterion(check, (checkResult.issues || []).map(issue => localizeIssue(issue, lang)), scoringProfile);
+    onProgress('check-done', { check: check.id, name, score: scored.score });
+    criteria.push({
+      id: check.id,
+      criterion: name,
+      criterionKey: check.criterion,
+      weight: scored.weight,
+      issues: tagIssues(scored.issues, check.wcag),
+      wcagTested: testedCriteria(check.wcag, checkResult.tested),
+      score: scored.score,
+      scoring: scored.scoring,
+      details: checkResult.details || {}
+    });
+  }
+  return criteria;
+}
+
+// Totals and the weighted overall score of a list of criteria
+function summarizeCriteria(criteria) {
+  const totalIssues = criteria.reduce((sum, c) => sum + c.issues.length, 0);
+  const criteriaWithIssues = criteria.filter(c => c.issues.length > 0).length;
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  const averageScore = totalWeight > 0
+    ? criteria.reduce((sum, c) => sum + (c.score || 0) * c.weight, 0) / totalWeight
+    : 0;
+
+  return {
+    totalIssues,
+    criteriaWithIssues,
+    criteriaTotal: criteria.length,
+    averageScore: Math.round(averageScore),
+    passed: totalIssues === 0
+  };
+}
+
+// Combine the criteria of every device into one list in check order. A criterion scores as its
+// worst device; each issue lists the devices it was found on (devices) and keeps the evidence of
+// the first one. criterion.devices has the per-device scores and issues.
+function mergeDeviceCriteria(checks, perDevice) {
+  return checks.map(check => {
+    const runs = perDevice
+      .map(({ device, criteria }) => ({ device, criterion: criteria.find(c => c.id === check.id) }))
+      .filter(run => run.criterion);
+    if (runs.length === 0) return null;
+
+    const first = runs[0].criterion;
+    const issues = [];
+    runs.forEach(({ device, criterion }) => {
+      criterion.issues.forEach(issue => {
+        const key = issue.id || issue.message;
+        const existing = issues.find(merged => (merged.id || merged.message) === key);
+        if (existing) {
+          existing.devices.push(device.name);
+        } else {
+          issues.push({ ...issue, devices: [device.name] });
+        }
+      });
+    });
+    // The worst device decides the score, so its deductions explain it
+    const worst = runs.reduce((min, run) => (run.criterion.score < min.criterion.score ? run : min), runs[0]);
+
+    return {
+      id: first.id,
+      criterion: first.criterion,
+      criterionKey: first.criterionKey,
+      weight: first.weight,
+      issues,
+      wcagTested: Array.from(new Set(runs.flatMap(run => run.criterion.wcagTested))).sort(),
+      score: worst.criterion.score,
+      scoring: { ...worst.criterion.scoring, device: worst.device.name },
+      details: {},
+      devices: runs.map(({ device, criterion }) => ({
+        device: device.name,
+        score: criterion.score,
+        issues: criterion.issues.map(({ id, params, message, severity, penalty }) => ({ id, params, message, severity, penalty })),
+        details: criterion.details
+      }))
+    };
+  }).filter(Boolean);
+}
+
+// Options: checks / exclude (check ids), platform ('web' | 'mobile'),
+// profile (a scoring profile name or object, see utils/scoring.js; 'default' by default),
+// devices (a device matrix, see resolveDevices: the page is loaded and checked once per device,
+// and platform is ignored), screenshots (annotated desktop and mobile screenshots - one per device
+// with a matrix - on by default), auth (cookies, headers, basicAuth, login recipe - see utils/auth.js),
+// signal (AbortSignal that closes the browser context), onProgress(stage, params) for progress reporting
+async function runUXAudit(url, lang = 'ru', options = {}) {
+  const { signal, onProgress = () => {}, platform = 'web', screenshots = true } = options;
+  let lease = null;
+  const abortHandler = () => {
+    if (lease) lease.context.close().catch(() => {});
+  };
   
   try {
     // Normalize URL
@@ -53,122 +430,112 @@ async function runUXAudit(url, lang = 'ru') {
       throw new Error(`Invalid URL format: ${url}`);
     }
 
-    // Dynamically import puppeteer (may be ES module)
-    const puppeteer = await import('puppeteer');
-    
-    console.log('Launching browser for UX audit...');
-    browser = await puppeteer.default.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    const checks = resolveChecks(options);
+    if (checks.length === 0) {
+      throw new Error('No checks selected');
+    }
 
-    const page = await browser.newPage();
-    
-    // Set viewport for desktop
-    await page.setViewport({ width: 1920, height: 1080 });
+    const viewport = PLATFORM_VIEWPORTS[platform];
+    if (!viewport) {
+      throw new Error(`Unknown platform: ${platform}`);
+    }
+    const devices = options.devices && options.devices.length > 0 ? resolveDevices(options.devices) : null;
+    const profile = resolveProfile(options.profile);
+    const auth = normalizeAuth(options.auth);
+
+    throwIfAborted(signal);
+
+    console.log('Acquiring browser for UX audit...');
+    onProgress('launching', {});
+    lease = await acquireBrowser({ signal });
+    if (signal) signal.addEventListener('abort', abortHandler, { once: true });
+    throwIfAborted(signal);
+
+    const page = await lease.context.newPage();
+    await page.evaluateOnNewDocument(installPageHelpers);
     
-    // Navigate to page
-    console.log(`Navigating to: ${url}`);
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: 30000 
-    });
-
-    // Wait a bit for dynamic content
-    await wait(2000);
-
-    // Run all checks in parallel
-    const [
-      visualHierarchy,
-      navigation,
-      typography,
-      interactivity,
-      mobileAdaptation,
-      accessibility
-    ] = await Promise.all([
-      checkVisualHierarchy(page),
-      checkNavigation(page),
-      checkTypography(page),
-      checkInteractivity(page),
-      checkMobileAdaptation(page),
-      checkAccessibility(page)
-    ]);
+    await page.setViewport(devices ? devices[0] : viewport);
+    await applyAuth(page, auth, url, { onProgress });
+    throwIfAborted(signal);
+
+    let criteria;
+    let deviceResults = null;
+    if (devices) {
+      const defaultUserAgent = await page.browser().userAgent();
+      const perDevice = [];
+      for (const device of devices) {
+        throwIfAborted(signal);
+        const { name, userAgent, ...deviceViewport } = device;
+        console.log(`Emulating device: ${name}`);
+        onProgress('device', { name });
+        await page.setUserAgent(userAgent || defaultUserAgent);
+        await page.setViewport(deviceViewport);
+        // Load the page for each device: servers may send a different page to a different user agent
+        console.log(`Navigating to: ${url}`);
+        onProgress('navigating', { url });
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        await wait(2000);
+        perDevice.push({ device, criteria: await runChecks(page, checks, { url, lang, platform, device, auth, profile, signal, onProgress }) });
+      }
+      criteria = mergeDeviceCriteria(checks, perDevice);
+      deviceResults = perDevice.map(({ device, criteria: deviceCriteria }) => ({
+        ...device,
+        summary: summarizeCriteria(deviceCriteria)
+      }));
+    } else {
+      // Navigate to page
+      console.log(`Navigating to: ${url}`);
+      onProgress('navigating', { url });
+      await page.goto(url, { 
+        waitUntil: 'networkidle2',
+        timeout: 30000 
+      });
+
+      // Wait a bit for dynamic content
+      await wait(2000);
+
+      criteria = await runChecks(page, checks, { url, lang, platform, auth, profile, signal, onProgress });
+    }
 
     const result = {
       url,
+      ...(devices ? { devices: deviceResults } : { platform }),
+      profile: profile.name,
       timestamp: new Date().toISOString(),
-      criteria: [
-        {
-          criterion: 'Визуальная иерархия',
-          criterionKey: 'Visual Hierarchy',
-          issues: visualHierarchy.issues,
-          score: visualHierarchy.score,
-          details: visualHierarchy.details
-        },
-        {
-          criterion: 'Навигация',
-          criterionKey: 'Navigation',
-          issues: navigation.issues,
-          score: navigation.score,
-          details: navigation.details
-        },
-        {
-          criterion: 'Типографика и читаемость',
-          criterionKey: 'Typography & Readability',
-          issues: typography.issues,
-          score: typography.score,
-          details: typography.details
-        },
-        {
-          criterion: 'Интерактивность',
-          criterionKey: 'Interactivity',
-          issues: interactivity.issues,
-          score: interactivity.score,
-          details: interactivity.details
-        },
-        {
-          criterion: 'Мобильная адаптивность',
-          criterionKey: 'Mobile Adaptation',
-          issues: mobileAdaptation.issues,
-          score: mobileAdaptation.score,
-          details: mobileAdaptation.details
-        },
-        {
-          criterion: 'Доступность',
-          criterionKey: 'Accessibility',
-          issues: accessibility.issues,
-          score: accessibility.score,
-          details: accessibility.details
-        }
-      ]
+      criteria
     };
 
-    // Calculate summary
-    const totalIssues = result.criteria.reduce((sum, c) => sum + c.issues.length, 0);
-    const criteriaWithIssues = result.criteria.filter(c => c.issues.length > 0).length;
-    const averageScore = result.criteria.reduce((sum, c) => sum + (c.score || 0), 0) / result.criteria.length;
-
-    result.summary = {
-      totalIssues,
-      criteriaWithIssues,
-      criteriaTotal: result.criteria.length,
-      averageScore: Math.round(averageScore),
-      passed: totalIssues === 0
-    };
+    if (screenshots) {
+      onProgress('screenshots', {});
+      try {
+        const targets = devices ? devices.map(device => ({ device })) : undefined;
+        result.screenshots = await captureAnnotatedScreenshots(page, criteria, lang, signal, targets);
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        // The findings are still useful without pictures
+        console.error('Could not capture annotated screenshots:', err.message);
+        result.screenshots = [];
+      }
+    }
+
+    result.summary = summarizeCriteria(result.criteria);
+    result.wcag = summarizeUXConformance(result.criteria);
 
     console.log('UX audit completed successfully');
     return result;
   } catch (error) {
+    if (signal && signal.aborted) {
+      throw new Error('UX audit cancelled');
+    }
     console.error('UX audit error details:', error);
-    throw new Error(`UX audit failed: ${error.message}`);
+    const wrapped = new Error(`UX audit failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
   } finally {
-    if (browser) {
-      try {
-        await browser.close();
-        console.log('Browser closed');
-      } catch (closeError) {
-        console.error('Error closing browser:', closeError);
-      }
+    if (signal) signal.removeEventListener('abort', abortHandler);
+    if (lease) {
+      await lease.release();
+      console.log('Browser context released');
     }
   }
 }
@@ -233,6 +600,7 @@ async function checkVisualHierarchy(page) {
       h1Count,
       hasMultipleH1,
       hasNoH1,
+      h1Evidence: window.__uxAudit.describeElements(headings.h1, (el, style) => ({ fontSize: style.fontSize })),
       headingSizes,
       ctaCount: ctas.filter(c => c.visible).length,
       hasCTA: ctas.filter(c => c.visible).length > 0
@@ -246,17 +614,16 @@ async function checkVisualHierarchy(page) {
   };
 
   if (hierarchyData.hasNoH1) {
-    issues.push('Отсутствует заголовок H1 на странице');
+    issues.push({ id: 'visual.missing-h1' });
   }
   if (hierarchyData.hasMultipleH1) {
-    issues.push(`Найдено ${hierarchyData.h1Count} заголовков H1 (должен быть только один)`);
+    issues.push({ id: 'visual.multiple-h1', params: { count: hierarchyData.h1Count }, ...hierarchyData.h1Evidence });
   }
   if (!hierarchyData.hasCTA) {
-    issues.push('Не найден четкий призыв к действию (CTA) на странице');
+    issues.push({ id: 'visual.no-cta' });
   }
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 25));
-  return { issues, score, details };
+  return { issues, details };
 }
 
 // Check navigation
@@ -317,24 +684,31 @@ async function checkNavigation(page) {
       isSticky,
       navLinksCount: visibleLinks.length,
       hasBreadcrumbs,
-      hasSearch
+      hasSearch,
+      navEvidence: window.__uxAudit.describeElements(mainNav ? [mainNav] : [], el => ({
+        links: el.querySelectorAll('a').length,
+        visibleLinks: visibleLinks.length
+      })),
+      headerEvidence: window.__uxAudit.describeElements(header ? [header] : mainNav ? [mainNav] : [], (el, style) => ({
+        position: style.position
+      }))
     };
   });
 
-  details.navigation = navData;
+  const { navEvidence, headerEvidence, ...navDetails } = navData;
+  details.navigation = navDetails;
 
   if (!navData.hasMainNav) {
-    issues.push('Не найдено основное меню навигации');
+    issues.push({ id: 'navigation.no-main-nav' });
   }
   if (navData.navLinksCount === 0) {
-    issues.push('В меню навигации отсутствуют ссылки');
+    issues.push({ id: 'navigation.no-links', ...navEvidence });
   }
   if (!navData.isSticky && navData.hasMainNav) {
-    issues.push('Меню навигации не закреплено (sticky header) - может быть неудобно на длинных страницах');
+    issues.push({ id: 'navigation.not-sticky', ...headerEvidence });
   }
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 20));
-  return { issues, score, details };
+  return { issues, details };
 }
 
 // Check typography
@@ -366,33 +740,42 @@ async function checkTypography(page) {
       const fontSize = parseFloat(style.fontSize);
       return fontSize < 14 && el.offsetWidth > 0 && el.offsetHeight > 0;
     });
+    // Point at the elements that hold the text rather than their wrappers
+    const smallTextHolders = smallTextElements.filter(el => {
+      return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '');
+    });
 
     return {
       bodyFontSize,
       lineHeightRatio,
       avgParagraphSize,
-      smallTextCount: smallTextElements.length
+      smallTextCount: smallTextElements.length,
+      smallTextEvidence: window.__uxAudit.describeElements(smallTextHolders, (el, style) => ({ fontSize: style.fontSize })),
+      bodyEvidence: window.__uxAudit.describeElements([body], (el, style) => ({
+        fontSize: style.fontSize,
+        lineHeight: style.lineHeight
+      }))
     };
   });
 
-  details.typography = typographyData;
+  const { smallTextEvidence, bodyEvidence, ...typographyDetails } = typographyData;
+  details.typography = typographyDetails;
 
   // Check if values are valid numbers
   const bodyFontSize = typographyData.bodyFontSize && !isNaN(typographyData.bodyFontSize) ? typographyData.bodyFontSize : 16;
   const lineHeightRatio = typographyData.lineHeightRatio && !isNaN(typographyData.lineHeightRatio) ? typographyData.lineHeightRatio : 1.5;
 
   if (bodyFontSize < 14) {
-    issues.push(`Размер основного шрифта слишком мал (${bodyFontSize.toFixed(1)}px, рекомендуется минимум 14-16px)`);
+    issues.push({ id: 'typography.small-body-font', params: { fontSize: bodyFontSize.toFixed(1) }, ...bodyEvidence });
   }
   if (lineHeightRatio < 1.4) {
-    issues.push(`Межстрочный интервал слишком мал (${lineHeightRatio.toFixed(2)}, рекомендуется минимум 1.4-1.6)`);
+    issues.push({ id: 'typography.tight-line-height', params: { ratio: lineHeightRatio.toFixed(2) }, ...bodyEvidence });
   }
   if (typographyData.smallTextCount > 5) {
-    issues.push(`Найдено ${typographyData.smallTextCount} элементов с очень мелким текстом (<14px)`);
+    issues.push({ id: 'typography.small-text', params: { count: typographyData.smallTextCount }, ...smallTextEvidence });
   }
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 25));
-  return { issues, score, details };
+  return { issues, details };
 }
 
 // Check interactivity
@@ -411,6 +794,7 @@ async function checkInteractivity(page) {
     }));
 
     const smallButtons = buttonSizes.filter(b => b.minSize < 44);
+    const smallButtonElements = buttons.filter(btn => Math.min(btn.offsetWidth, btn.offsetHeight) < 44);
 
     // Check for hover states (CSS)
     const styleSheets = Array.from(document.styleSheets);
@@ -451,29 +835,37 @@ async function checkInteractivity(page) {
       totalButtons: buttons.length,
       smallButtonsCount: smallButtons.length,
       smallButtons: smallButtons.slice(0, 5),
+      smallButtonEvidence: window.__uxAudit.describeElements(smallButtonElements, el => ({
+        width: el.offsetWidth,
+        height: el.offsetHeight
+      })),
       hasHoverStyles,
       hasFocusStyles
     };
   });
 
-  details.interactivity = interactivityData;
+  const { smallButtonEvidence, ...interactivityDetails } = interactivityData;
+  details.interactivity = interactivityDetails;
 
   if (interactivityData.smallButtonsCount > 0) {
-    issues.push(`Найдено ${interactivityData.smallButtonsCount} кнопок с размером менее 44x44px (рекомендуемый минимум для удобства нажатия)`);
+    issues.push({ id: 'interactivity.small-buttons', params: { count: interactivityData.smallButtonsCount }, ...smallButtonEvidence });
   }
   if (!interactivityData.hasHoverStyles && interactivityData.totalButtons > 0) {
-    issues.push('Не обнаружены hover-эффекты для интерактивных элементов');
+    issues.push({ id: 'interactivity.no-hover-styles' });
   }
   if (!interactivityData.hasFocusStyles) {
-    issues.push('Не обнаружены focus-состояния для элементов формы (важно для доступности)');
+    issues.push({ id: 'interactivity.no-focus-styles' });
   }
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 25));
-  return { issues, score, details };
+  const tested = ['interactivity.no-focus-styles'];
+  if (interactivityData.totalButtons > 0) tested.push('interactivity.small-buttons');
+  return { issues, details, tested };
 }
 
 // Check mobile adaptation
-async function checkMobileAdaptation(page) {
+// keepState: resize without reloading, so user-flow state survives (see runChecks).
+// In a device matrix audit the page already emulates the device, so it's measured as it is.
+async function checkMobileAdaptation(page, { keepState = false, device = null } = {}) {
   const issues = [];
   const details = {};
 
@@ -516,37 +908,58 @@ async function checkMobileAdaptation(page) {
   });
 
   // Also check mobile viewport
-  await page.setViewport({ width: 375, height: 667 }); // iPhone SE size
-  await page.reload({ waitUntil: 'networkidle2' });
-  await wait(1000);
+  const initialViewport = page.viewport();
+  if (!device) {
+    // iPhone SE size. Changing isMobile or hasTouch makes Puppeteer reload the page, which
+    // would lose a flow's state (and the restore below would reload it again), so keep them.
+    await page.setViewport({ ...initialViewport, width: 375, height: 667 });
+    if (!keepState) {
+      await page.reload({ waitUntil: 'networkidle2' });
+    }
+    await wait(1000);
+  }
 
   const mobileViewportData = await page.evaluate(() => {
     const bodyWidth = document.body.scrollWidth;
     const windowWidth = window.innerWidth;
+    // The outermost elements sticking out past the right edge cause the scroll
+    const overflowing = bodyWidth > windowWidth
+      ? Array.from(document.body.querySelectorAll('*')).filter(el => {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.right <= windowWidth + 1) return false;
+        return el.parentElement.getBoundingClientRect().right <= windowWidth + 1;
+      })
+      : [];
     return {
       hasHorizontalScroll: bodyWidth > windowWidth,
       bodyWidth,
-      windowWidth
+      windowWidth,
+      overflowEvidence: window.__uxAudit.describeElements(overflowing, el => ({
+        right: Math.round(el.getBoundingClientRect().right),
+        viewportWidth: windowWidth
+      }))
     };
   });
 
-  details.mobile = { ...mobileData, mobileViewport: mobileViewportData };
+  const { overflowEvidence, ...mobileViewportDetails } = mobileViewportData;
+  details.mobile = { ...mobileData, mobileViewport: mobileViewportDetails };
 
   if (!mobileData.hasViewport) {
-    issues.push('Отсутствует мета-тег viewport (необходим для корректного отображения на мобильных устройствах)');
+    issues.push({ id: 'mobile.no-viewport-meta' });
   }
   if (mobileViewportData.hasHorizontalScroll) {
-    issues.push('Обнаружена горизонтальная прокрутка на мобильных устройствах (375px) - это плохой UX');
+    issues.push({ id: 'mobile.horizontal-scroll', params: { width: mobileViewportData.windowWidth }, ...overflowEvidence });
   }
   if (!mobileData.hasHamburger && mobileData.hasMediaQueries) {
-    issues.push('Не обнаружено мобильное меню (hamburger menu) - навигация может быть неудобной на мобильных');
+    issues.push({ id: 'mobile.no-hamburger-menu' });
   }
 
-  // Reset to desktop viewport
-  await page.setViewport({ width: 1920, height: 1080 });
+  // Restore the viewport the audit started with
+  if (!device) {
+    await page.setViewport(initialViewport);
+  }
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 25));
-  return { issues, score, details };
+  return { issues, details };
 }
 
 // Check accessibility
@@ -575,14 +988,12 @@ async function checkAccessibility(page) {
     const hasHeader = !!document.querySelector('header, [role="banner"]');
     const hasFooter = !!document.querySelector('footer, [role="contentinfo"]');
 
-    // Check form labels
-    const inputs = Array.from(document.querySelectorAll('input, select, textarea'));
-    const inputsWithoutLabels = inputs.filter(input => {
-      const id = input.id;
-      if (!id) return true;
-      const label = document.querySelector(`label[for="${id}"]`);
-      return !label;
-    });
+    // Check form labels; buttons are named by their value
+    const { describeElements, labelText } = window.__uxAudit;
+    const inputs = Array.from(document.querySelectorAll(
+      'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea'
+    ));
+    const inputsWithoutLabels = inputs.filter(input => !labelText(input));
 
     return {
       totalImages: images.length,
@@ -593,28 +1004,1727 @@ async function checkAccessibility(page) {
       hasHeader,
       hasFooter,
       totalInputs: inputs.length,
-      inputsWithoutLabels: inputsWithoutLabels.length
+      inputsWithoutLabels: inputsWithoutLabels.length,
+      evidence: {
+        imagesWithoutAlt: describeElements(imagesWithoutAlt, el => ({ alt: el.getAttribute('alt') })),
+        elementsWithoutAria: describeElements(elementsWithoutAria, el => ({
+          ariaLabel: el.getAttribute('aria-label'),
+          ariaLabelledby: el.getAttribute('aria-labelledby'),
+          text: (el.textContent || '').trim()
+        })),
+        inputsWithoutLabels: describeElements(inputsWithoutLabels, el => ({ id: el.id || null }))
+      }
     };
   });
 
-  details.accessibility = accessibilityData;
+  const { evidence, ...accessibilityDetails } = accessibilityData;
+  details.accessibility = accessibilityDetails;
 
   if (accessibilityData.imagesWithoutAlt > 0) {
-    issues.push(`Найдено ${accessibilityData.imagesWithoutAlt} изображений без альтернативного текста (alt)`);
+    issues.push({ id: 'accessibility.images-without-alt', params: { count: accessibilityData.imagesWithoutAlt }, ...evidence.imagesWithoutAlt });
   }
   if (!accessibilityData.hasMain) {
-    issues.push('Отсутствует семантический элемент <main> или [role="main"]');
+    issues.push({ id: 'accessibility.no-main-landmark' });
   }
   if (accessibilityData.inputsWithoutLabels > 0 && accessibilityData.totalInputs > 0) {
-    issues.push(`Найдено ${accessibilityData.inputsWithoutLabels} полей формы без связанных меток (label)`);
+    issues.push({ id: 'accessibility.unlabeled-inputs', params: { count: accessibilityData.inputsWithoutLabels }, ...evidence.inputsWithoutLabels });
   }
   if (accessibilityData.elementsWithoutAria > 5) {
-    issues.push(`Найдено ${accessibilityData.elementsWithoutAria} интерактивных элементов без текста или ARIA-меток`);
+    issues.push({ id: 'accessibility.unlabeled-interactive', params: { count: accessibilityData.elementsWithoutAria }, ...evidence.elementsWithoutAria });
+  }
+
+  const contrast = await checkTextContrast(page);
+  details.contrast = contrast;
+
+  if (contrast.failingAACount > 0) {
+    issues.push({ id: 'accessibility.low-contrast', params: { count: contrast.failingAACount }, ...await describeContrastFailures(page, contrast) });
+  }
+
+  const tested = ['accessibility.no-main-landmark'];
+  if (accessibilityData.totalImages > 0) tested.push('accessibility.images-without-alt');
+  if (accessibilityData.totalInputs > 0) tested.push('accessibility.unlabeled-inputs');
+  if (accessibilityData.totalInteractive > 0) tested.push('accessibility.unlabeled-interactive');
+  if (contrast.checked > 0) tested.push('accessibility.low-contrast');
+  return { issues, details, tested };
+}
+
+// Evidence for the text that fails AA contrast (see checkTextContrast)
+async function describeContrastFailures(page, contrast) {
+  // Ratios are calculated here rather than in the page, so they're attached to the evidence afterwards
+  const failing = new Map(contrast.failingAA.map(entry => [entry.selector, entry]));
+  const evidence = await page.evaluate(selectors => {
+    return window.__uxAudit.describeElements(selectors.map(selector => document.querySelector(selector)));
+  }, Array.from(failing.keys()));
+  const elements = evidence.elements.map(element => {
+    const entry = failing.get(element.selector);
+    return {
+      ...element,
+      values: entry ? {
+        color: entry.foreground,
+        backgroundColor: entry.background,
+        contrastRatio: entry.ratio,
+        requiredRatio: entry.requiredRatio,
+        fontSize: `${entry.fontSize}px`
+      } : {}
+    };
+  });
+  return {
+    elements,
+    elementsTotal: contrast.failingAACount,
+    elementsOmitted: contrast.failingAACount - elements.length
+  };
+}
+
+// Collect colors, font metrics and background layers for every element with visible text
+async function collectTextColorSamples(page) {
+  return page.evaluate(() => {
+    const MAX_SAMPLES = 2000;
+    const elements = new Set();
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.textContent.trim() !== '' ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+
+    while (walker.nextNode() && elements.size < MAX_SAMPLES) {
+      const node = walker.currentNode;
+      const parent = node.parentElement;
+      if (!parent || elements.has(parent)) continue;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) continue;
+
+      // A text node is visible only if it actually occupies space on the page
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const style = window.getComputedStyle(parent);
+      if (style.visibility === 'hidden' || style.display === 'none') continue;
+      elements.add(parent);
+    }
+
+    return Array.from(elements).map(el => {
+      const style = window.getComputedStyle(el);
+      const layers = [];
+      let opacity = 1;
+      for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const nodeStyle = window.getComputedStyle(node);
+        opacity *= parseFloat(nodeStyle.opacity);
+        layers.push({
+          backgroundColor: nodeStyle.backgroundColor,
+          hasBackgroundImage: nodeStyle.backgroundImage !== 'none'
+        });
+      }
+
+      let descriptor = el.tagName.toLowerCase();
+      if (el.id) descriptor += `#${el.id}`;
+      if (typeof el.className === 'string' && el.className.trim()) {
+        descriptor += '.' + el.className.trim().split(/\s+/).slice(0, 3).join('.');
+      }
+
+      return {
+        element: descriptor,
+        selector: window.__uxAudit.selectorFor(el),
+        text: el.textContent.trim().replace(/\s+/g, ' ').substring(0, 60),
+        color: style.color,
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: parseInt(style.fontWeight, 10) || 400,
+        opacity,
+        // Ordered from the element itself up to the root
+        layers
+      };
+    });
+  });
+}
+
+// Check WCAG contrast of every visible text element against AA and AAA thresholds.
+// canvas: the color behind a page without a background of its own (dark in a dark color scheme)
+async function checkTextContrast(page, { canvas = WHITE } = {}) {
+  const MAX_REPORTED = 20;
+  const samples = await collectTextColorSamples(page);
+  const failingAA = [];
+  const failingAAA = [];
+  let unresolved = 0;
+
+  samples.forEach(sample => {
+    const contrast = measureContrast(sample, canvas);
+    if (!contrast) {
+      unresolved++;
+      return;
+    }
+
+    const entry = {
+      element: sample.element,
+      selector: sample.selector,
+      text: sample.text,
+      foreground: formatColor(contrast.foreground),
+      background: formatColor(contrast.background),
+      ratio: Math.round(contrast.ratio * 100) / 100,
+      fontSize: sample.fontSize,
+      isLargeText: contrast.isLargeText
+    };
+
+    if (contrast.ratio < contrast.requiredAA) {
+      failingAA.push({ ...entry, level: 'AA', requiredRatio: contrast.requiredAA });
+    } else if (contrast.ratio < contrast.requiredAAA) {
+      failingAAA.push({ ...entry, level: 'AAA', requiredRatio: contrast.requiredAAA });
+    }
+  });
+
+  // Worst offenders first
+  failingAA.sort((a, b) => a.ratio - b.ratio);
+  failingAAA.sort((a, b) => a.ratio - b.ratio);
+
+  return {
+    checked: samples.length - unresolved,
+    unresolved,
+    failingAACount: failingAA.length,
+    failingAAACount: failingAAA.length,
+    failingAA: failingAA.slice(0, MAX_REPORTED),
+    failingAAA: failingAAA.slice(0, MAX_REPORTED)
+  };
+}
+
+// Keyboard navigation: press Tab through the page like a keyboard user and watch where focus goes.
+// At most this many Tab stops are followed; pages with more links are judged on the first ones.
+const MAX_TAB_STOPS = 100;
+// A stop this far above the previous one (px) jumps back against the reading order
+const ORDER_TOLERANCE = 100;
+// Tab stops before the main content that make a skip link worth having
+const SKIP_LINK_MIN_STOPS = 5;
+
+// Move the sequential focus starting point to the top of the document (runs in the browser).
+// blur() alone makes Chrome continue from the element that had focus.
+function resetFocus() {
+  const marker = document.createElement('span');
+  marker.tabIndex = -1;
+  document.body.insertBefore(marker, document.body.firstChild);
+  marker.focus({ preventScroll: true });
+  marker.remove();
+  window.scrollTo(0, 0);
+}
+
+// Describe the element Tab just focused, and whether the previous stop looked any different
+// while it had focus than it does now (runs in the browser). Focus styles are compared through
+// the computed style of the element and its parent, after their transitions have finished.
+async function inspectFocusStep() {
+  const STYLE_PROPERTIES = [
+    'outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderTopColor', 'borderBottomColor',
+    'borderTopWidth', 'borderBottomWidth', 'backgroundColor', 'color', 'textDecorationLine'
+  ];
+  const state = window.__uxAuditKeyboard || (window.__uxAuditKeyboard = { previous: null });
+
+  const snapshot = element => [element, element.parentElement].filter(Boolean).map(el => {
+    const style = window.getComputedStyle(el);
+    return STYLE_PROPERTIES.map(property => style[property]).join('|');
+  }).join('||');
+  const toMs = value => value.split(',').map(v => parseFloat(v) * (v.trim().endsWith('ms') ? 1 : 1000) || 0);
+  const transitionTime = element => {
+    if (!element) return 0;
+    const style = window.getComputedStyle(element);
+    const delays = toMs(style.transitionDelay);
+    return Math.min(500, Math.max(0, ...toMs(style.transitionDuration).map((duration, i) => duration + (delays[i] || 0))));
+  };
+
+  const active = document.activeElement;
+  const element = active && active !== document.body && active !== document.documentElement ? active : null;
+  const previous = state.previous && state.previous.element !== element ? state.previous : null;
+  const settle = Math.max(transitionTime(element), transitionTime(previous && previous.element));
+  if (settle > 0) await new Promise(resolve => setTimeout(resolve, settle + 50));
+
+  // null when there's nothing to compare: hidden stops are reported when they get focus
+  let previousIndicator = null;
+  if (previous && previous.visible && previous.element.isConnected) {
+    previousIndicator = previous.focusedStyle !== snapshot(previous.element);
+  }
+
+  if (!element) {
+    state.previous = null;
+    return { stop: null, previousIndicator };
+  }
+
+  const rect = element.getBoundingClientRect();
+  const style = window.getComputedStyle(element);
+  const visible = rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.right > 0 &&
+    rect.top < window.innerHeight && rect.left < window.innerWidth &&
+    style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+  let pinned = false;
+  for (let el = element; el && el !== document.body; el = el.parentElement) {
+    const position = window.getComputedStyle(el).position;
+    if (position === 'fixed' || position === 'sticky') {
+      pinned = true;
+      break;
+    }
+  }
+
+  if (!previous || previous.element !== element) {
+    state.previous = { element, visible, focusedStyle: snapshot(element) };
+  }
+
+  const text = element.innerText || element.value || element.getAttribute('aria-label') || element.getAttribute('title') || '';
+  return {
+    stop: {
+      selector: window.__uxAudit.selectorFor(element),
+      tag: element.tagName.toLowerCase(),
+      text: text.trim().replace(/\s+/g, ' ').substring(0, 50),
+      href: element.getAttribute('href'),
+      rect: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      visible,
+      pinned,
+      inMain: !!element.closest('main, [role="main"]'),
+      // Tab moves inside frames and shadow roots while the document's activeElement stays put
+      nested: element.tagName === 'IFRAME' || element.tagName === 'OBJECT' || element.tagName === 'EMBED' || !!element.shadowRoot
+    },
+    previousIndicator
+  };
+}
+
+function activeSelector(page) {
+  return page.evaluate(() => {
+    const active = document.activeElement;
+    return active && active !== document.body ? window.__uxAudit.selectorFor(active) : null;
+  });
+}
+
+// An open modal dialog holds the focus
+function focusInModal(page) {
+  return page.evaluate(() => !!(document.activeElement && document.activeElement.closest('dialog[open], [aria-modal="true"]')));
+}
+
+// Tab came back to an element without leaving the page. It's a trap if Shift+Tab can't get out
+// either; a modal dialog may hold focus as long as Escape releases it.
+// keepState: Escape would close a dialog the flow opened, so it isn't pressed.
+async function isFocusTrap(page, cycle, keepState) {
+  const selectors = new Set(cycle.map(stop => stop.selector));
+  for (let i = 0; i <= cycle.length; i++) {
+    await page.keyboard.down('Shift');
+    await page.keyboard.press('Tab');
+    await page.keyboard.up('Shift');
+    if (!selectors.has(await activeSelector(page))) return false;
+  }
+  if (keepState) return true;
+  await page.keyboard.press('Escape');
+  await page.keyboard.press('Tab');
+  return selectors.has(await activeSelector(page));
+}
+
+// The next stop lies above the previous one and not in a column to its right (left for RTL)
+function isBackwardJump(from, to, rtl) {
+  if (!from.visible || !to.visible || from.pinned || to.pinned) return false;
+  if (to.rect.y + to.rect.height >= from.rect.y - ORDER_TOLERANCE) return false;
+  return rtl ? to.rect.x + to.rect.width > from.rect.x : to.rect.x < from.rect.x + from.rect.width;
+}
+
+// Element id a hash link points to. Like browsers, fall back to the raw fragment when it isn't
+// valid percent-encoding (e.g. '#100%').
+function fragmentId(href) {
+  const fragment = href.substring(1);
+  try {
+    return decodeURIComponent(fragment);
+  } catch (e) {
+    return fragment;
+  }
+}
+
+// Follow the first Tab stop when it's an in-page link: it should take focus to its target.
+// keepState: only check the target exists, as following a hash may change a single-page app's route.
+async function checkSkipLink(page, link, keepState) {
+  const id = fragmentId(link.href);
+  const skipLink = await page.evaluate((href, id) => {
+    const target = id ? document.getElementById(id) || document.getElementsByName(id)[0] : null;
+    return { href, targetExists: !!target };
+  }, link.href, id);
+  skipLink.selector = link.selector;
+  skipLink.works = null;
+  if (!skipLink.targetExists || keepState) return skipLink;
+
+  const initialUrl = page.url();
+  await page.evaluate(resetFocus);
+  await page.keyboard.press('Tab');
+  if (await activeSelector(page) !== link.selector) return skipLink;
+  await page.keyboard.press('Enter');
+  await wait(300);
+  await page.keyboard.press('Tab');
+  skipLink.works = await page.evaluate(id => {
+    const target = document.getElementById(id) || document.getElementsByName(id)[0];
+    const active = document.activeElement;
+    if (!target || !active || active === document.body) return false;
+    // Focus lands on the target, inside it or on the first stop after it
+    return active === target || target.contains(active) || !!(target.compareDocumentPosition(active) & Node.DOCUMENT_POSITION_FOLLOWING);
+  }, id);
+
+  await page.evaluate(url => {
+    if (window.location.href !== url) window.history.replaceState(window.history.state, '', url);
+  }, initialUrl);
+  return skipLink;
+}
+
+// Describe elements by selector with per-element values (runs the page helpers)
+function describeSelectors(page, entries) {
+  return page.evaluate(entries => {
+    const found = entries.map(entry => {
+      let element = null;
+      try {
+        element = document.querySelector(entry.selector);
+      } catch (e) {
+        // Selector no longer valid after the page changed
+      }
+      return { element, values: entry.values };
+    }).filter(entry => entry.element);
+    const values = new Map(found.map(entry => [entry.element, entry.values]));
+    return window.__uxAudit.describeElements(found.map(entry => entry.element), el => values.get(el) || {});
+  }, entries);
+}
+
+// Check keyboard navigation with real Tab and Shift+Tab presses
+// keepState: in a user flow, don't follow skip links (see checkSkipLink)
+async function checkKeyboardNavigation(page, { keepState = false } = {}) {
+  const issues = [];
+  const details = {};
+
+  // Clickable elements that Tab never reaches: handlers or roles on non-focusable elements,
+  // and pointer cursors that aren't part of a link, button or other control
+  const notFocusableEvidence = await page.evaluate(() => {
+    const ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'slider', 'combobox'];
+    const CONTROL = 'a[href], button, input, select, textarea, summary, label, [contenteditable], [tabindex]:not([tabindex^="-"])';
+    const elements = Array.from(document.body.querySelectorAll('*')).filter(el => {
+      if (el.tabIndex >= 0 || el.disabled || el.getAttribute('aria-disabled') === 'true') return false;
+      const cursor = window.getComputedStyle(el).cursor;
+      // The pointer cursor is inherited, so only the outermost element that sets it counts
+      const pointer = cursor === 'pointer' && (!el.parentElement || window.getComputedStyle(el.parentElement).cursor !== 'pointer');
+      if (!el.hasAttribute('onclick') && !ROLES.includes(el.getAttribute('role')) && !pointer) return false;
+      if ((el.parentElement && el.parentElement.closest(CONTROL)) || el.querySelector(CONTROL)) return false;
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+    });
+    return window.__uxAudit.describeElements(elements, (el, style) => ({
+      role: el.getAttribute('role') || null,
+      onclick: el.hasAttribute('onclick'),
+      cursor: style.cursor
+    }));
+  });
+
+  const { tabbable, rtl } = await page.evaluate(() => {
+    const candidates = document.querySelectorAll('a[href], area[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable]');
+    return {
+      tabbable: Array.from(candidates).filter(el => el.tabIndex >= 0 && !el.disabled).length,
+      rtl: window.getComputedStyle(document.documentElement).direction === 'rtl'
+    };
+  });
+
+  await page.evaluate(resetFocus);
+  const stops = [];
+  const hiddenFocus = [];
+  const unchangedFocus = [];
+  const backwardJumps = [];
+  let cycle = null;
+  let reachedEnd = false;
+  const presses = Math.min(tabbable + 5, MAX_TAB_STOPS);
+  for (let press = 0; press < presses; press++) {
+    await page.keyboard.press('Tab');
+    const { stop, previousIndicator } = await page.evaluate(inspectFocusStep);
+    const last = stops[stops.length - 1];
+    if (previousIndicator === false && last) unchangedFocus.push(last);
+    // Focus went back to the document: the whole page has been tabbed through
+    if (!stop) {
+      reachedEnd = true;
+      break;
+    }
+    if (last && last.selector === stop.selector && stop.nested) continue;
+
+    const seen = stops.findIndex(s => s.selector === stop.selector);
+    if (seen >= 0) {
+      cycle = stops.slice(seen);
+      break;
+    }
+    if (!stop.visible) hiddenFocus.push(stop);
+    if (last && isBackwardJump(last, stop, rtl)) backwardJumps.push({ stop, after: last });
+    stops.push(stop);
+  }
+
+  // On a flow step a cycle inside an open modal is taken for the dialog holding focus, since
+  // Escape can't be tried there without closing it
+  const modalCycle = cycle && keepState ? await focusInModal(page) : false;
+  const trapped = cycle && !modalCycle ? await isFocusTrap(page, cycle, keepState) : false;
+
+  // Skip link: the first stop, leading to the main content
+  const first = stops[0];
+  const mainIndex = stops.findIndex(stop => stop.inMain);
+  const stopsBeforeMain = mainIndex >= 0 ? mainIndex : stops.length;
+  let skipLink = null;
+  if (first && first.href && /^#./.test(first.href) && !trapped) {
+    skipLink = await checkSkipLink(page, first, keepState);
+  }
+
+  await page.evaluate(() => {
+    delete window.__uxAuditKeyboard;
+  });
+  await page.evaluate(resetFocus);
+
+  details.keyboard = {
+    tabbable,
+    tabStops: stops.length,
+    reachedEnd,
+    focusTrap: trapped ? cycle.map(stop => stop.selector) : null,
+    modalFocusCycle: modalCycle ? cycle.map(stop => stop.selector) : null,
+    skipLink,
+    stopsBeforeMain,
+    notFocusableCount: notFocusableEvidence.elementsTotal,
+    noFocusIndicatorCount: hiddenFocus.length + unchangedFocus.length,
+    orderMismatchCount: backwardJumps.length,
+    focusOrder: stops.map(({ selector, tag, text, rect }) => ({ selector, tag, text, rect }))
+  };
+
+  if (trapped) {
+    const evidence = await describeSelectors(page, cycle.map(stop => ({ selector: stop.selector, values: {} })));
+    issues.push({ id: 'keyboard.focus-trap', params: { count: cycle.length }, ...evidence });
+  }
+  if (notFocusableEvidence.elementsTotal > 0) {
+    issues.push({ id: 'keyboard.not-focusable', params: { count: notFocusableEvidence.elementsTotal }, ...notFocusableEvidence });
+  }
+  if (hiddenFocus.length + unchangedFocus.length > 0) {
+    const evidence = await describeSelectors(page, [
+      ...hiddenFocus.map(stop => ({ selector: stop.selector, values: { reason: 'hidden' } })),
+      ...unchangedFocus.map(stop => ({ selector: stop.selector, values: { reason: 'unchanged' } }))
+    ]);
+    issues.push({ id: 'keyboard.no-focus-indicator', params: { count: hiddenFocus.length + unchangedFocus.length }, ...evidence });
+  }
+  if (backwardJumps.length > 0) {
+    const evidence = await describeSelectors(page, backwardJumps.map(({ stop, after }) => ({
+      selector: stop.selector,
+      values: { after: after.selector }
+    })));
+    issues.push({ id: 'keyboard.order-mismatch', params: { count: backwardJumps.length }, ...evidence });
   }
+  if (skipLink && (!skipLink.targetExists || skipLink.works === false)) {
+    const evidence = await describeSelectors(page, [{ selector: skipLink.selector, values: { href: skipLink.href } }]);
+    issues.push({ id: 'keyboard.broken-skip-link', params: { href: skipLink.href }, ...evidence });
+  } else if (!skipLink && !trapped && stopsBeforeMain >= SKIP_LINK_MIN_STOPS) {
+    issues.push({ id: 'keyboard.no-skip-link', params: { stops: stopsBeforeMain } });
+  }
+
+  // Without Tab stops there was no focus order, indicator or trap to see
+  const tested = ['keyboard.not-focusable'];
+  if (stops.length > 0) tested.push('keyboard.focus-trap', 'keyboard.no-focus-indicator');
+  if (stops.length > 1) tested.push('keyboard.order-mismatch');
+  if (stops.length > 0 && !trapped) tested.push('keyboard.no-skip-link', 'keyboard.broken-skip-link');
+  return { issues, details, tested };
+}
+
+// Form usability. Personal-data fields are recognised by their type, name, id, label or placeholder
+// (English and Russian) and should carry the matching autocomplete token.
+const PERSONAL_DATA_FIELDS = [
+  ['email', 'e-?mail|почт'],
+  ['tel', 'phone|^tel$|\\btel\\b|mobile|телефон'],
+  ['given-name', 'first.?name|given.?name|fname|^имя$'],
+  ['family-name', 'last.?name|family.?name|surname|lname|фамили'],
+  ['name', '^name$|full.?name|your.?name|^фио$|имя и фамилия'],
+  ['street-address', 'address|street|адрес|улиц'],
+  ['address-level2', '\\bcity\\b|\\btown\\b|город'],
+  ['postal-code', 'zip|postal|post.?code|индекс'],
+  ['country', 'country|стран'],
+  ['organization', 'company|organi[sz]ation|организаци|компани'],
+  ['bday', 'birth|bday|\\bdob\\b|рождени'],
+  ['cc-number', 'card.?number|cc.?num|номер карты'],
+  ['username', 'user.?name|login|логин']
+];
+// Field names an autocomplete attribute may end with (HTML Living Standard)
+const AUTOCOMPLETE_FIELD_NAMES = [
+  'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix', 'nickname',
+  'username', 'new-password', 'current-password', 'one-time-code', 'organization-title', 'organization',
+  'street-address', 'address-line1', 'address-line2', 'address-line3', 'address-level4', 'address-level3',
+  'address-level2', 'address-level1', 'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name',
+  'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc',
+  'cc-type', 'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+  'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+  'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+];
+// Fields that need a keyboard other than the default text one: accepted types and inputmodes
+const INPUT_KINDS = {
+  email: { types: ['email'], inputModes: ['email'] },
+  tel: { types: ['tel'], inputModes: ['tel'] },
+  number: { types: ['number'], inputModes: ['numeric', 'decimal'] },
+  'cc-number': { types: ['number', 'tel'], inputModes: ['numeric'] }
+};
+const NUMBER_FIELD_PATTERN = 'quantity|\\bqty\\b|amount|\\bage\\b|количеств|сумм|возраст';
+// Forms submitted empty in the sandbox page, in document order
+const MAX_SUBMITTED_FORMS = 3;
+const SUBMIT_BUTTON = 'button[type="submit"], button:not([type]), input[type="submit"], input[type="image"]';
+
+// Clear a form's fields and press its submit button (runs in the browser). Remembers which elements
+// were visible before, so the messages the submit brings up can be told apart.
+function submitEmptyForm(index, submitSelector) {
+  const form = document.forms[index];
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  window.__uxAuditFormSubmit = {
+    form,
+    visibleBefore: new Set(Array.from(document.body.querySelectorAll('*')).filter(visible))
+  };
+  Array.from(form.elements).forEach(field => {
+    if (field.matches('input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="number"], input[type="password"], input[type="search"], input[type="url"], textarea')) {
+      field.value = '';
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  });
+  const submit = Array.from(form.elements).find(el => el.matches(submitSelector));
+  if (submit) {
+    submit.click();
+  } else {
+    form.requestSubmit();
+  }
+}
+
+// What the empty submit brought up (runs in the browser): fields marked invalid and new error
+// messages, and which of them aren't tied together through aria-describedby or aria-errormessage
+function collectSubmitErrors() {
+  const { form, visibleBefore } = window.__uxAuditFormSubmit;
+  delete window.__uxAuditFormSubmit;
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  const describedBy = field => ['aria-describedby', 'aria-errormessage']
+    .flatMap(attribute => (field.getAttribute(attribute) || '').split(/\s+/))
+    .filter(Boolean)
+    .map(id => document.getElementById(id))
+    .filter(Boolean);
+
+  const fields = Array.from(form.elements).filter(field => field.matches('input, select, textarea') && visible(field));
+  const linked = new Set(fields.flatMap(describedBy));
+  const invalidFields = fields.filter(field => field.getAttribute('aria-invalid') === 'true');
+  const unlinkedFields = invalidFields.filter(field => !describedBy(field).some(el => visible(el) && el.textContent.trim()));
+
+  // New visible messages that look like errors; summaries linking to the fields are fine as they are
+  const isLinked = el => Array.from(linked).some(target => target === el || target.contains(el) || el.contains(target));
+  const messages = Array.from(form.querySelectorAll('*')).filter(el => {
+    if (visibleBefore.has(el) || !visible(el) || !el.textContent.trim()) return false;
+    if (!el.matches('[role="alert"], [aria-live]') && !/error|invalid|ошибк/i.test(`${el.className} ${el.id}`)) return false;
+    return !el.querySelector('input, select, textarea, a[href^="#"]');
+  });
+  // Only the outermost of nested messages
+  const outermost = messages.filter(el => !messages.some(other => other !== el && other.contains(el)));
+  const unlinkedMessages = outermost.filter(el => !isLinked(el));
+  const nativeInvalid = fields.filter(field => field.willValidate && !field.validity.valid);
+
+  return {
+    form: window.__uxAudit.selectorFor(form),
+    invalidFields: invalidFields.length,
+    messages: outermost.length,
+    // The browser's own validation bubbles are announced to screen readers
+    nativeValidation: !form.noValidate && nativeInvalid.length > 0,
+    evidence: window.__uxAudit.describeElements([...unlinkedFields, ...unlinkedMessages], el => ({
+      reason: unlinkedFields.includes(el) ? 'field-not-linked' : 'message-not-linked',
+      text: unlinkedFields.includes(el) ? null : el.textContent.trim().replace(/\s+/g, ' ').substring(0, 80)
+    }))
+  };
+}
+
+// Submit the page's forms empty in a separate page of the same browser context (so it shares the
+// login), leaving the audited page untouched. Anything that could change data on the server is
+// blocked: every request but GET, and the navigation a submit starts.
+async function submitFormsEmpty(page, url, auth) {
+  const sandbox = await page.browserContext().newPage();
+  try {
+    await sandbox.evaluateOnNewDocument(installPageHelpers);
+    await sandbox.setViewport(page.viewport());
+    await sandbox.setUserAgent(await page.evaluate(() => navigator.userAgent));
+    await applyRequestAuth(sandbox, auth, url);
+
+    let submitting = false;
+    await sandbox.setRequestInterception(true);
+    sandbox.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const navigation = request.isNavigationRequest() && request.frame() === sandbox.mainFrame();
+      if (request.method() !== 'GET' || (submitting && navigation)) {
+        request.abort('blockedbyclient', INTERCEPT_PRIORITY);
+      } else {
+        // Keeps the auth headers another handler may have added
+        request.continue(request.continueRequestOverrides(), INTERCEPT_PRIORITY);
+      }
+    });
+
+    await sandbox.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const formIndexes = await sandbox.evaluate(() => {
+      return Array.from(document.forms).map((form, index) => ({ form, index })).filter(({ form }) => {
+        return Array.from(form.elements).some(field => {
+          if (!field.matches('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]), select, textarea')) return false;
+          const rect = field.getBoundingClientRect();
+          return rect.width > 0 && rect.height > 0;
+        });
+      }).map(({ index }) => index);
+    });
+
+    submitting = true;
+    const results = [];
+    for (const index of formIndexes.slice(0, MAX_SUBMITTED_FORMS)) {
+      await sandbox.evaluate(submitEmptyForm, index, SUBMIT_BUTTON);
+      // Let client-side validation render its messages
+      await wait(800);
+      results.push(await sandbox.evaluate(collectSubmitErrors));
+    }
+    return results;
+  } finally {
+    await sandbox.close();
+  }
+}
+
+// Check form usability: autocomplete, input types, required fields, labels, error messages and submit buttons
+async function checkForms(page, { url, auth = null } = {}) {
+  const issues = [];
+  const details = {};
+
+  const formsData = await page.evaluate((personalFields, fieldNames, inputKinds, numberPattern, submitSelector) => {
+    const { describeElements, labelText } = window.__uxAudit;
+    const visible = el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+    };
+    const TEXT_FIELD = 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="number"], ' +
+      'input[type="password"], input[type="search"], input[type="url"], textarea';
+    const fields = Array.from(document.querySelectorAll(
+      'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea'
+    )).filter(visible);
+
+    // The autocomplete token a field should have, from its type or what it's called
+    const patterns = personalFields.map(([token, source]) => [token, new RegExp(source, 'i')]);
+    const expectedToken = field => {
+      if (field.type === 'email') return 'email';
+      if (field.type === 'tel') return 'tel';
+      if (field.type === 'password') return 'password';
+      // "Search by city" is not a city
+      if (field.type === 'search' || field.closest('[role="search"]')) return null;
+      const sources = [field.name, field.id, labelText(field), field.getAttribute('placeholder')]
+        .filter(Boolean).map(source => source.replace(/[*:]/g, '').trim());
+      const match = patterns.find(([, pattern]) => sources.some(source => pattern.test(source)));
+      return match ? match[0] : null;
+    };
+    // The field name an autocomplete value ends with, past its section-, billing/shipping and home/work/... tokens
+    const autocompleteFieldName = value => {
+      const tokens = value.trim().toLowerCase().split(/\s+/).filter(token => token !== 'webauthn');
+      const name = tokens[tokens.length - 1];
+      const prefixes = tokens.slice(0, -1).filter(token => {
+        return !token.startsWith('section-') && !['shipping', 'billing', 'home', 'work', 'mobile', 'fax', 'pager'].includes(token);
+      });
+      return prefixes.length === 0 ? name : null;
+    };
+
+    const missingAutocomplete = [];
+    const wrongType = [];
+    const personal = fields.filter(field => field.matches(`${TEXT_FIELD}, select`)).map(field => ({ field, token: expectedToken(field) }));
+    personal.filter(({ token }) => token).forEach(({ field, token }) => {
+      const value = field.getAttribute('autocomplete');
+      const name = value ? autocompleteFieldName(value) : null;
+      if (!value || value.trim() === '') {
+        missingAutocomplete.push({ field, token, reason: 'missing' });
+      } else if (name === 'off' || name === 'on') {
+        missingAutocomplete.push({ field, token, reason: name });
+      } else if (!name || !fieldNames.includes(name)) {
+        missingAutocomplete.push({ field, token, reason: 'invalid' });
+      } else if (token === 'password' && !['current-password', 'new-password', 'one-time-code'].includes(name)) {
+        missingAutocomplete.push({ field, token, reason: 'invalid' });
+      }
+    });
+
+    const numberRegExp = new RegExp(numberPattern, 'i');
+    personal.filter(({ field }) => field.matches(TEXT_FIELD) && field.tagName !== 'TEXTAREA').forEach(({ field, token }) => {
+      const sources = [field.name, field.id, labelText(field)].filter(Boolean);
+      const kind = inputKinds[token] ? token : (sources.some(source => numberRegExp.test(source)) ? 'number' : null);
+      if (!kind) return;
+      const { types, inputModes } = inputKinds[kind];
+      if (!types.includes(field.type) && !inputModes.includes(field.getAttribute('inputmode'))) {
+        wrongType.push({ field, kind });
+      }
+    });
+
+    // Required fields should say so in their label, unless the form marks its optional fields instead.
+    // A required checkbox (accepting terms) speaks for itself.
+    const marksOptional = field => {
+      const scope = field.form || document.body;
+      return /optional|необязательн/i.test(Array.from(scope.querySelectorAll('label, legend')).map(el => el.textContent).join(' '));
+    };
+    const requiredWithoutIndicator = fields.filter(field => {
+      if (!field.required && field.getAttribute('aria-required') !== 'true') return false;
+      if (field.type === 'checkbox') return false;
+      const described = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)
+        .map(id => document.getElementById(id)).filter(Boolean).map(el => el.textContent).join(' ');
+      const text = `${labelText(field)} ${described}`;
+      if (/\*|required|обязательн/i.test(text)) return false;
+      if (Array.from(field.labels || []).some(label => label.querySelector('[class*="required"], abbr'))) return false;
+      return !marksOptional(field);
+    });
+
+    const placeholderAsLabel = fields.filter(field => field.getAttribute('placeholder') && !labelText(field));
+
+    // A form needs a visible, enabled and focusable submit button, unless its only field submits with Enter
+    const unreachableSubmit = [];
+    Array.from(document.forms).filter(visible).forEach(form => {
+      const formFields = Array.from(form.elements).filter(el => fields.includes(el));
+      if (formFields.length === 0) return;
+      const submit = Array.from(form.elements).find(el => el.matches(submitSelector));
+      if (!submit) {
+        if (formFields.length > 1) unreachableSubmit.push({ element: form, reason: 'missing' });
+        return;
+      }
+      const rect = submit.getBoundingClientRect();
+      let reason = null;
+      if (!visible(submit)) reason = 'hidden';
+      else if (submit.disabled) reason = 'disabled';
+      else if (submit.tabIndex < 0) reason = 'not-focusable';
+      else if (rect.right < 0 || rect.left > document.documentElement.scrollWidth) reason = 'offscreen';
+      if (reason) unreachableSubmit.push({ element: submit, reason });
+    });
+
+    const describe = (entries, key, getValues) => {
+      const values = new Map(entries.map(entry => [entry[key], entry]));
+      return describeElements(entries.map(entry => entry[key]), el => getValues(values.get(el)));
+    };
+    return {
+      fields: fields.length,
+      forms: Array.from(document.forms).filter(visible).length,
+      personalDataFields: personal.filter(({ token }) => token).length,
+      missingAutocompleteCount: missingAutocomplete.length,
+      wrongTypeCount: wrongType.length,
+      requiredWithoutIndicatorCount: requiredWithoutIndicator.length,
+      placeholderAsLabelCount: placeholderAsLabel.length,
+      unreachableSubmitCount: unreachableSubmit.length,
+      evidence: {
+        missingAutocomplete: describe(missingAutocomplete, 'field', ({ field, token, reason }) => ({
+          autocomplete: field.getAttribute('autocomplete'),
+          reason,
+          expected: token === 'password' ? 'current-password / new-password' : token
+        })),
+        wrongType: describe(wrongType, 'field', ({ field, kind }) => ({
+          type: field.type,
+          inputmode: field.getAttribute('inputmode'),
+          expected: inputKinds[kind].types[0]
+        })),
+        requiredWithoutIndicator: describeElements(requiredWithoutIndicator, el => ({ label: labelText(el) || null })),
+        placeholderAsLabel: describeElements(placeholderAsLabel, el => ({ placeholder: el.getAttribute('placeholder') })),
+        unreachableSubmit: describe(unreachableSubmit, 'element', ({ reason }) => ({ reason }))
+      }
+    };
+  }, PERSONAL_DATA_FIELDS, AUTOCOMPLETE_FIELD_NAMES, INPUT_KINDS, NUMBER_FIELD_PATTERN, SUBMIT_BUTTON);
+
+  const { evidence, ...formsDetails } = formsData;
+  details.forms = formsDetails;
+  if (formsData.fields === 0) {
+    return { issues, details, tested: [] };
+  }
+
+  // Error messages after an empty submit
+  let submitted = [];
+  if (formsData.forms > 0) {
+    try {
+      submitted = await submitFormsEmpty(page, url || page.url(), auth);
+    } catch (err) {
+      console.error('Could not submit forms in the sandbox page:', err.message);
+      details.forms.submitError = err.message;
+    }
+  }
+  details.forms.emptySubmit = submitted.map(({ evidence: submitEvidence, ...result }) => ({
+    ...result,
+    unlinked: submitEvidence.elementsTotal
+  }));
+
+  if (formsData.missingAutocompleteCount > 0) {
+    issues.push({ id: 'forms.missing-autocomplete', params: { count: formsData.missingAutocompleteCount }, ...evidence.missingAutocomplete });
+  }
+  if (formsData.wrongTypeCount > 0) {
+    issues.push({ id: 'forms.wrong-input-type', params: { count: formsData.wrongTypeCount }, ...evidence.wrongType });
+  }
+  if (formsData.requiredWithoutIndicatorCount > 0) {
+    issues.push({ id: 'forms.no-required-indicator', params: { count: formsData.requiredWithoutIndicatorCount }, ...evidence.requiredWithoutIndicator });
+  }
+  if (formsData.placeholderAsLabelCount > 0) {
+    issues.push({ id: 'forms.placeholder-as-label', params: { count: formsData.placeholderAsLabelCount }, ...evidence.placeholderAsLabel });
+  }
+  const unlinkedTotal = submitted.reduce((total, result) => total + result.evidence.elementsTotal, 0);
+  if (unlinkedTotal > 0) {
+    const elements = submitted.flatMap(result => result.evidence.elements);
+    issues.push({
+      id: 'forms.unlinked-errors',
+      params: { count: unlinkedTotal },
+      elements,
+      elementsTotal: unlinkedTotal,
+      elementsOmitted: unlinkedTotal - elements.length
+    });
+  }
+  if (formsData.unreachableSubmitCount > 0) {
+    issues.push({ id: 'forms.unreachable-submit', params: { count: formsData.unreachableSubmitCount }, ...evidence.unreachableSubmit });
+  }
+
+  // Error messages are only tested where an empty submit produced errors
+  const tested = ['forms.no-required-indicator', 'forms.placeholder-as-label'];
+  if (formsData.personalDataFields > 0) tested.push('forms.missing-autocomplete');
+  if (submitted.some(result => result.invalidFields > 0 || result.messages > 0)) tested.push('forms.unlinked-errors');
+  if (formsData.forms > 0) tested.push('forms.unreachable-submit');
+  return { issues, details, tested };
+}
+
+// Loading experience: Core Web Vitals measured in the audit's own browser session (lab values,
+// without network or CPU throttling). Good / poor boundaries as published for the field metrics.
+const WEB_VITALS_THRESHOLDS = {
+  lcp: { good: 2500, poor: 4000 },
+  cls: { good: 0.1, poor: 0.25 },
+  inp: { good: 200, poor: 500 }
+};
+// Layout shifts listed in the details, largest first
+const MAX_REPORTED_SHIFTS = 20;
+
+// Start collecting Core Web Vitals entries (runs in the browser). Buffered entries cover the page
+// load so far: the largest contentful paints and layout shifts, and interactions over 104ms.
+async function observeWebVitals() {
+  const vitals = { lcp: [], shifts: [], events: [], observers: [] };
+  window.__uxAuditVitals = vitals;
+  const observe = (type, list, options = {}) => {
+    try {
+      const observer = new PerformanceObserver(entries => list.push(...entries.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      vitals.observers.push({ observer, list });
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  };
+  observe('largest-contentful-paint', vitals.lcp);
+  observe('layout-shift', vitals.shifts);
+  observe('event', vitals.events, { durationThreshold: 16 });
+  observe('first-input', vitals.events);
+  // Buffered entries are delivered in a later task
+  await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+// Compute LCP, CLS and INP from the collected entries, with the elements behind them (runs in the browser)
+function summarizeWebVitals(maxShifts) {
+  const vitals = window.__uxAuditVitals;
+  delete window.__uxAuditVitals;
+  vitals.observers.forEach(({ observer, list }) => {
+    list.push(...observer.takeRecords());
+    observer.disconnect();
+  });
+  const { describeElements, selectorFor } = window.__uxAudit;
+  const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+  const elementOf = node => (node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node);
+
+  const lcpEntry = vitals.lcp[vitals.lcp.length - 1] || null;
+  const lcpElement = lcpEntry && lcpEntry.element && lcpEntry.element.isConnected ? lcpEntry.element : null;
+
+  // CLS: the largest burst of unexpected shifts (gaps under 1s, at most 5s long)
+  const shifts = vitals.shifts.filter(entry => !entry.hadRecentInput);
+  const windows = [];
+  let current = null;
+  shifts.forEach(entry => {
+    if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+      current.value += entry.value;
+      current.last = entry.startTime;
+    } else {
+      current = { first: entry.startTime, last: entry.startTime, value: entry.value };
+      windows.push(current);
+    }
+  });
+  const cls = windows.reduce((max, w) => Math.max(max, w.value), 0);
+
+  // Elements that moved, with their share of each shift they took part in
+  const culprits = new Map();
+  shifts.forEach(entry => {
+    const sources = (entry.sources || []).filter(source => elementOf(source.node));
+    sources.forEach(source => {
+      const element = elementOf(source.node);
+      const culprit = culprits.get(element) || { shift: 0, movedX: 0, movedY: 0 };
+      culprit.shift += entry.value / sources.length;
+      culprit.movedX += source.currentRect.x - source.previousRect.x;
+      culprit.movedY += source.currentRect.y - source.previousRect.y;
+      culprits.set(element, culprit);
+    });
+  });
+  const culpritElements = Array.from(culprits.keys())
+    .filter(element => element.isConnected)
+    .sort((a, b) => culprits.get(b).shift - culprits.get(a).shift);
+
+  // INP: the slowest interaction, or close to it on busy pages (one outlier ignored per 50)
+  const interactions = new Map();
+  vitals.events.filter(entry => entry.interactionId).forEach(entry => {
+    const known = interactions.get(entry.interactionId);
+    if (!known || entry.duration > known.duration) interactions.set(entry.interactionId, entry);
+  });
+  const slowest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+  const inpEntry = slowest[Math.min(slowest.length - 1, Math.floor(slowest.length / 50))] || null;
+  const inpTarget = inpEntry && inpEntry.target && inpEntry.target.isConnected ? inpEntry.target : null;
+
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+  return {
+    lcp: lcpEntry ? round(lcpEntry.startTime) : null,
+    cls: round(cls, 3),
+    inp: inpEntry ? round(inpEntry.duration) : null,
+    fcp: fcp ? round(fcp.startTime) : null,
+    ttfb: navigation ? round(navigation.responseStart) : null,
+    interactions: interactions.size,
+    layoutShifts: shifts
+      .slice()
+      .sort((a, b) => b.value - a.value)
+      .slice(0, maxShifts)
+      .map(entry => ({
+        time: round(entry.startTime),
+        value: round(entry.value, 4),
+        sources: (entry.sources || []).map(source => elementOf(source.node)).filter(Boolean).map(selectorFor)
+      })),
+    evidence: {
+      lcp: describeElements(lcpElement ? [lcpElement] : [], el => ({
+        lcp: `${round(lcpEntry.startTime)}ms`,
+        size: lcpEntry.size,
+        url: lcpEntry.url || null,
+        tag: el.tagName.toLowerCase()
+      })),
+      shifts: describeElements(culpritElements, el => {
+        const culprit = culprits.get(el);
+        return { shift: round(culprit.shift, 4), movedX: round(culprit.movedX), movedY: round(culprit.movedY) };
+      }),
+      inp: describeElements(inpTarget ? [inpTarget] : [], () => ({
+        event: inpEntry.name,
+        duration: `${round(inpEntry.duration)}ms`,
+        inputDelay: `${round(inpEntry.processingStart - inpEntry.startTime)}ms`,
+        processing: `${round(inpEntry.processingEnd - inpEntry.processingStart)}ms`,
+        presentationDelay: `${round(inpEntry.startTime + inpEntry.duration - inpEntry.processingEnd)}ms`
+      }))
+    }
+  };
+}
+
+// Interact with the page the way a visitor would without leaving it: click text near the top and
+// open and close a disclosure widget, so INP has interactions to measure
+async function simulateInteractions(page) {
+  const targets = await page.evaluate(() => {
+    const { selectorFor } = window.__uxAudit;
+    const INTERACTIVE = 'a, button, input, select, textarea, label, summary, [role], [onclick], [tabindex]';
+    const inViewport = el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && rect.top >= 0 && rect.bottom <= window.innerHeight;
+    };
+    // The click has to land on the text itself, not on a link stretched over it
+    const text = Array.from(document.querySelectorAll('h1, h2, p')).find(el => {
+      if (!inViewport(el) || el.closest(INTERACTIVE)) return false;
+      const rect = el.getBoundingClientRect();
+      const hit = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      return hit && el.contains(hit) && !hit.closest(INTERACTIVE);
+    });
+    const toggle = Array.from(document.querySelectorAll('button[aria-expanded], details > summary')).find(el => {
+      return inViewport(el) && (el.tagName === 'SUMMARY' || el.type === 'button');
+    });
+    return [
+      text && { selector: selectorFor(text), twice: false },
+      toggle && { selector: selectorFor(toggle), twice: true }
+    ].filter(Boolean);
+  });
+
+  for (const { selector, twice } of targets) {
+    try {
+      await page.click(selector);
+      await wait(300);
+      if (twice) {
+        await page.click(selector);
+        await wait(300);
+      }
+    } catch (e) {
+      // The element moved or was hidden by the first click
+    }
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+}
+
+// Check the loading experience: LCP and its element, CLS and the elements that shift, interaction latency.
+// keepState: in a user flow, measure the step's own interactions instead of clicking around
+async function checkLoadingExperience(page, { keepState = false } = {}) {
+  const issues = [];
+  const details = {};
+
+  await page.evaluate(observeWebVitals);
+  if (!keepState) {
+    await simulateInteractions(page);
+  }
+  // Let the last interactions paint
+  await wait(500);
+  const vitalsData = await page.evaluate(summarizeWebVitals, MAX_REPORTED_SHIFTS);
+
+  const { evidence, ...vitalsDetails } = vitalsData;
+  details.vitals = { ...vitalsDetails, thresholds: WEB_VITALS_THRESHOLDS };
+
+  const { lcp, cls, inp } = WEB_VITALS_THRESHOLDS;
+  if (vitalsData.lcp !== null && vitalsData.lcp > lcp.good) {
+    const id = vitalsData.lcp > lcp.poor ? 'loading.very-slow-lcp' : 'loading.slow-lcp';
+    issues.push({ id, params: { seconds: Math.round(vitalsData.lcp / 100) / 10 }, ...evidence.lcp });
+  }
+  if (vitalsData.cls > cls.good) {
+    const id = vitalsData.cls > cls.poor ? 'loading.severe-layout-shift' : 'loading.layout-shift';
+    issues.push({ id, params: { value: vitalsData.cls }, ...evidence.shifts });
+  }
+  if (vitalsData.inp !== null && vitalsData.inp > inp.good) {
+    const id = vitalsData.inp > inp.poor ? 'loading.very-slow-interaction' : 'loading.slow-interaction';
+    issues.push({ id, params: { ms: vitalsData.inp }, ...evidence.inp });
+  }
+
+  return { issues, details };
+}
+
+// Content readability. Text harder than this grade level (roughly the end of school) is flagged.
+const READABILITY_MAX_GRADE = 12;
+// Fewer words than this don't make a readability score worth reporting
+const MIN_READABILITY_WORDS = 100;
+// Characters per rendered line (WCAG 1.4.8 asks for 80 at most)
+const MAX_CHARS_PER_LINE = 80;
+// Russian words are longer, so its sentences get long sooner
+const LONG_SENTENCE_WORDS = { en: 30, ru: 25 };
+const LONG_PARAGRAPH_WORDS = 150;
+// Words in a row of paragraphs without a heading, list or image to break them up
+const WALL_OF_TEXT_WORDS = 500;
+const MAX_TEXT_BLOCKS = 300;
+
+// The visible text blocks of the main content in document order (runs in the browser).
+// Paragraphs between two headings, lists, images or other breaks share a run.
+function collectTextBlocks(maxBlocks) {
+  const root = document.querySelector('main, [role="main"]') || document.querySelector('article') || document.body;
+  const SKIP = 'nav, header, footer, aside, form, button, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]';
+  const BREAK = 'h1, h2, h3, h4, h5, h6, ul, ol, dl, table, img, picture, figure, video, hr, pre';
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  // Sites without <p> put their paragraphs straight into divs
+  const isTextDiv = el => el.tagName === 'DIV' && !el.querySelector('p, div, li') &&
+    Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length >= 40);
+  // Rendered lines: text boxes whose top is below the bottom half of the line before
+  const lineCount = el => {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const rects = Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0).sort((a, b) => a.top - b.top);
+    let lines = 0;
+    let bottom = -Infinity;
+    rects.forEach(rect => {
+      if (rect.top >= bottom - rect.height / 2) {
+        lines++;
+        bottom = rect.bottom;
+      } else {
+        bottom = Math.max(bottom, rect.bottom);
+      }
+    });
+    return lines;
+  };
+
+  const blocks = [];
+  let run = 0;
+  for (const el of root.querySelectorAll(`p, blockquote, li, dd, div, ${BREAK}`)) {
+    if (el.closest(SKIP) || !visible(el)) continue;
+    if (el.matches(BREAK)) {
+      run++;
+      continue;
+    }
+    if (el.tagName === 'DIV' && !isTextDiv(el)) continue;
+    // Containers are read through the paragraphs or items inside them
+    if (el.matches('blockquote, li, dd') && el.querySelector('p, li')) continue;
+    const text = el.innerText.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    const paragraph = !el.matches('li, dd');
+    blocks.push({
+      selector: window.__uxAudit.selectorFor(el),
+      text,
+      paragraph,
+      run: paragraph ? run : null,
+      lines: paragraph ? lineCount(el) : null
+    });
+    if (blocks.length >= maxBlocks) break;
+  }
+  return { declaredLanguage: document.documentElement.lang || '', blocks };
+}
+
+// Check content readability: reading level, line, sentence and paragraph length, walls of text
+async function checkContent(page) {
+  const issues = [];
+  const details = {};
+
+  const { declaredLanguage, blocks } = await page.evaluate(collectTextBlocks, MAX_TEXT_BLOCKS);
+  const language = detectLanguage(blocks.map(block => block.text).join(' '), declaredLanguage);
+  // Word and sentence counts don't depend on the language, only syllables do
+  const analyzed = blocks.map(block => ({ ...block, ...analyzeText(block.text, language || 'en') }));
+  const totals = analyzed.reduce((sum, block) => ({
+    words: sum.words + block.words,
+    sentences: sum.sentences + block.sentences,
+    syllables: sum.syllables + block.syllables
+  }), { words: 0, sentences: 0, syllables: 0 });
+  const readability = language && totals.words >= MIN_READABILITY_WORDS ? readabilityScores(totals, language) : null;
+
+  const paragraphs = analyzed.filter(block => block.paragraph);
+  const measured = paragraphs.filter(block => block.lines >= 2);
+  const charsPerLine = block => Math.round(block.text.length / block.lines);
+  const longLines = measured.filter(block => charsPerLine(block) > MAX_CHARS_PER_LINE);
+  const sentenceLimit = LONG_SENTENCE_WORDS[language] || LONG_SENTENCE_WORDS.en;
+  const withLongSentences = analyzed.filter(block => block.sentenceLengths.some(words => words > sentenceLimit));
+  const longSentenceCount = withLongSentences.reduce((total, block) => {
+    return total + block.sentenceLengths.filter(words => words > sentenceLimit).length;
+  }, 0);
+  const longParagraphs = paragraphs.filter(block => block.words > LONG_PARAGRAPH_WORDS);
+
+  const runs = new Map();
+  paragraphs.forEach(block => {
+    const run = runs.get(block.run) || { first: block, words: 0, paragraphs: 0 };
+    run.words += block.words;
+    run.paragraphs++;
+    runs.set(block.run, run);
+  });
+  const walls = Array.from(runs.values()).filter(run => run.words > WALL_OF_TEXT_WORDS);
+
+  details.content = {
+    language,
+    declaredLanguage: declaredLanguage || null,
+    blocks: blocks.length,
+    paragraphs: paragraphs.length,
+    ...totals,
+    readability,
+    averageCharsPerLine: measured.length > 0
+      ? Math.round(measured.reduce((total, block) => total + charsPerLine(block), 0) / measured.length)
+      : null,
+    averageParagraphWords: paragraphs.length > 0
+      ? Math.round(paragraphs.reduce((total, block) => total + block.words, 0) / paragraphs.length)
+      : null,
+    longLines: longLines.length,
+    longSentences: longSentenceCount,
+    longParagraphs: longParagraphs.length,
+    wallsOfText: walls.length
+  };
+
+  if (readability && readability.grade > READABILITY_MAX_GRADE) {
+    // The hardest paragraphs that are long enough to score on their own
+    const hardest = paragraphs
+      .filter(block => block.words >= 30)
+      .map(block => ({ block, scores: readabilityScores(block, language) }))
+      .filter(({ scores }) => scores && scores.grade > READABILITY_MAX_GRADE)
+      .sort((a, b) => b.scores.grade - a.scores.grade);
+    const evidence = await describeSelectors(page, hardest.map(({ block, scores }) => ({
+      selector: block.selector,
+      values: { grade: scores.grade, readingEase: scores.readingEase, words: block.words }
+    })));
+    issues.push({ id: 'content.hard-to-read', params: { grade: readability.grade, score: readability.readingEase }, ...evidence });
+  }
+  if (longLines.length > 0) {
+    const evidence = await describeSelectors(page, longLines.map(block => ({
+      selector: block.selector,
+      values: { charsPerLine: charsPerLine(block), lines: block.lines }
+    })));
+    issues.push({ id: 'content.long-lines', params: { count: longLines.length, max: MAX_CHARS_PER_LINE }, ...evidence });
+  }
+  if (longSentenceCount > 0) {
+    const evidence = await describeSelectors(page, withLongSentences.map(block => ({
+      selector: block.selector,
+      values: {
+        longestSentence: block.longestSentence.words,
+        sentence: block.longestSentence.text.length > 100 ? block.longestSentence.text.substring(0, 100) + '…' : block.longestSentence.text
+      }
+    })));
+    issues.push({ id: 'content.long-sentences', params: { count: longSentenceCount, max: sentenceLimit }, ...evidence });
+  }
+  if (longParagraphs.length > 0) {
+    const evidence = await describeSelectors(page, longParagraphs.map(block => ({
+      selector: block.selector,
+      values: { words: block.words, sentences: block.sentences }
+    })));
+    issues.push({ id: 'content.long-paragraphs', params: { count: longParagraphs.length, max: LONG_PARAGRAPH_WORDS }, ...evidence });
+  }
+  if (walls.length > 0) {
+    // Each wall is pointed at by its first paragraph
+    const evidence = await describeSelectors(page, walls.map(run => ({
+      selector: run.first.selector,
+      values: { words: run.words, paragraphs: run.paragraphs }
+    })));
+    issues.push({ id: 'content.wall-of-text', params: { count: walls.length, max: WALL_OF_TEXT_WORDS }, ...evidence });
+  }
+
+  // Readability is only scored for enough English or Russian text
+  const tested = [];
+  if (readability) tested.push('content.hard-to-read');
+  if (measured.length > 0) tested.push('content.long-lines');
+  return { issues, details, tested };
+}
+
+// User preferences. A page background darker than this (relative luminance) counts as a dark theme.
+const DARK_BACKGROUND_LUMINANCE = 0.15;
+// Chrome's canvas in a dark color scheme, behind pages that set no background of their own
+const DARK_CANVAS = { r: 18, g: 18, b: 18, a: 1 };
+// How long to watch for carousels that advance by themselves
+const MOTION_WATCH_MS = 4000;
+
+// Background layers at a 3x3 grid of viewport points, and the page's color-scheme and
+// preference media queries (runs in the browser)
+function samplePageColors() {
+  const backgrounds = [];
+  [0.2, 0.5, 0.8].forEach(fx => [0.2, 0.5, 0.8].forEach(fy => {
+    const layers = [];
+    // Ordered from the element at the point up to the root, as resolveBackground expects
+    for (let el = document.elementFromPoint(window.innerWidth * fx, window.innerHeight * fy); el; el = el.parentElement) {
+      const style = window.getComputedStyle(el);
+      layers.push({ backgroundColor: style.backgroundColor, hasBackgroundImage: style.backgroundImage !== 'none' });
+    }
+    if (layers.length > 0) backgrounds.push(layers);
+  }));
+
+  const mediaRules = { darkColorScheme: 0, reducedMotion: 0, unreadableSheets: 0 };
+  const countRules = rules => Array.from(rules || []).forEach(rule => {
+    const condition = rule.conditionText || (rule.media && rule.media.mediaText) || '';
+    if (/prefers-color-scheme\s*:\s*dark/.test(condition)) mediaRules.darkColorScheme++;
+    if (/prefers-reduced-motion/.test(condition)) mediaRules.reducedMotion++;
+    if (rule.cssRules) countRules(rule.cssRules);
+  });
+  Array.from(document.styleSheets).forEach(sheet => {
+    try {
+      countRules(sheet.cssRules);
+    } catch (e) {
+      // Cross-origin stylesheets can't be read
+      mediaRules.unreadableSheets++;
+    }
+  });
+
+  const colorScheme = window.getComputedStyle(document.documentElement).colorScheme || 'normal';
+  return { backgrounds, colorScheme, mediaRules };
+}
+
+// Average luminance of the sampled backgrounds; null when images cover all of them
+function averageBackgroundLuminance(backgrounds, canvas) {
+  const luminances = backgrounds.map(layers => resolveBackground(layers, canvas)).filter(Boolean).map(getRelativeLuminance);
+  if (luminances.length === 0) return null;
+  return Math.round(luminances.reduce((total, value) => total + value, 0) / luminances.length * 1000) / 1000;
+}
+
+// Look for motion that keeps going (runs in the browser): animations still running after the
+// watch, carousels that advance by themselves, playing video, and content that moves at
+// another speed than the page scrolls (parallax)
+async function inspectMotion(watchMs) {
+  const { describeElements } = window.__uxAudit;
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  const pinned = element => {
+    for (let el = element; el && el !== document.body; el = el.parentElement) {
+      const position = window.getComputedStyle(el).position;
+      if (position === 'fixed' || position === 'sticky') return true;
+    }
+    return false;
+  };
+
+  // A carousel advances when its slides move or another one becomes active
+  const CAROUSEL = '[class*="carousel"], [class*="slider"], [class*="swiper"], [class*="slick"], [aria-roledescription="carousel"]';
+  const carousels = Array.from(document.querySelectorAll(CAROUSEL))
+    .filter(el => visible(el) && !(el.parentElement && el.parentElement.closest(CAROUSEL)));
+  const carouselState = carousel => Array.from(carousel.querySelectorAll('*')).slice(0, 200).map(el => ({
+    el,
+    left: el.getBoundingClientRect().left,
+    opacity: parseFloat(window.getComputedStyle(el).opacity),
+    active: /active|current|selected/.test(el.getAttribute('class') || '')
+  }));
+  const before = carousels.map(carouselState);
+
+  await new Promise(resolve => setTimeout(resolve, watchMs));
+
+  const advancing = carousels.filter((carousel, index) => {
+    const previous = new Map(before[index].map(state => [state.el, state]));
+    return carouselState(carousel).some(state => {
+      const old = previous.get(state.el);
+      if (!old) return false;
+      return (state.el.getBoundingClientRect().width > 50 && Math.abs(state.left - old.left) > 20) ||
+        Math.abs(state.opacity - old.opacity) > 0.5 || state.active !== old.active;
+    });
+  });
+  const visibleVideos = Array.from(document.querySelectorAll('video')).filter(visible);
+  const videos = visibleVideos.filter(video => !video.paused && !video.ended && video.currentTime > 0);
+
+  // Animations that outlasted the watch are infinite or very long; reduced-motion styles usually
+  // shorten them to next to nothing
+  const animated = new Map();
+  document.getAnimations().forEach(animation => {
+    const target = animation.effect && animation.effect.target;
+    if (animation.playState !== 'running' || !target || !visible(target)) return;
+    const timing = animation.effect.getComputedTiming();
+    if (timing.activeDuration !== Infinity && timing.activeDuration <= 100) return;
+    if (!animated.has(target)) {
+      animated.set(target, {
+        name: animation.animationName || animation.transitionProperty || animation.id || null,
+        duration: typeof timing.duration === 'number' ? Math.round(timing.duration) : null,
+        iterations: timing.iterations === Infinity ? 'infinite' : timing.iterations
+      });
+    }
+  });
+
+  // Parallax: fixed backgrounds, and transformed elements that don't move with the scroll
+  const scrollY = window.scrollY;
+  const candidates = Array.from(document.body.querySelectorAll('*')).filter(el => {
+    if (animated.has(el) || !visible(el)) return false;
+    const style = window.getComputedStyle(el);
+    return style.backgroundAttachment.includes('fixed') || style.transform !== 'none' || style.willChange.includes('transform') ||
+      el.matches('[class*="parallax"], [data-parallax], [data-speed], [data-rellax-speed]');
+  }).filter(el => !pinned(el)).slice(0, 300);
+  const parallax = new Map();
+  candidates.filter(el => window.getComputedStyle(el).backgroundAttachment.includes('fixed'))
+    .forEach(el => parallax.set(el, { backgroundAttachment: 'fixed' }));
+  const tops = candidates.map(el => el.getBoundingClientRect().top);
+  window.scrollTo({ top: scrollY + 300, behavior: 'instant' });
+  const scrolled = window.scrollY - scrollY;
+  if (scrolled >= 50) {
+    // Scroll handlers run on the next frames
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    candidates.forEach((el, index) => {
+      const offset = Math.round(el.getBoundingClientRect().top - (tops[index] - scrolled));
+      if (Math.abs(offset) > 20 && !parallax.has(el)) parallax.set(el, { scrolled, offset });
+    });
+  }
+  window.scrollTo({ top: scrollY, behavior: 'instant' });
+
+  return {
+    carousels: carousels.length,
+    videos: visibleVideos.length,
+    evidence: {
+      animations: describeElements(Array.from(animated.keys()), el => animated.get(el)),
+      autoplay: describeElements([...advancing, ...videos], el => ({ kind: el.tagName === 'VIDEO' ? 'video' : 'carousel' })),
+      parallax: describeElements(Array.from(parallax.keys()), el => parallax.get(el))
+    }
+  };
+}
+
+// Re-render the page with the given media features emulated; keepState re-renders it in place
+async function emulatePreferences(page, features, keepState) {
+  await page.emulateMediaFeatures(features);
+  if (keepState) {
+    // Let theme transitions finish
+    await wait(500);
+  } else {
+    // Reload so scripts that read the preferences once at startup see them too
+    await page.reload({ waitUntil: 'networkidle2' });
+    await wait(1000);
+  }
+}
+
+// Check user preference media features: whether a dark theme exists and keeps text readable,
+// and whether motion stops when reduced motion is requested.
+// keepState: switch the preferences without reloading, so user-flow state survives
+async function checkUserPreferences(page, { keepState = false } = {}) {
+  const issues = [];
+  const details = {};
+  const tested = [];
+
+  try {
+    const light = await page.evaluate(samplePageColors);
+    await emulatePreferences(page, [{ name: 'prefers-color-scheme', value: 'dark' }], keepState);
+    const dark = await page.evaluate(samplePageColors);
+    const canvas = dark.colorScheme.includes('dark') ? DARK_CANVAS : WHITE;
+    const lightLuminance = averageBackgroundLuminance(light.backgrounds, WHITE);
+    const darkLuminance = averageBackgroundLuminance(dark.backgrounds, canvas);
+    const darkByDefault = lightLuminance !== null && lightLuminance < DARK_BACKGROUND_LUMINANCE;
+    const darkTheme = !darkByDefault && darkLuminance !== null && darkLuminance < DARK_BACKGROUND_LUMINANCE;
+
+    details.colorScheme = {
+      darkTheme,
+      darkByDefault,
+      colorScheme: dark.colorScheme,
+      backgroundLuminance: { light: lightLuminance, dark: darkLuminance },
+      mediaRules: light.mediaRules.darkColorScheme,
+      unreadableSheets: light.mediaRules.unreadableSheets
+    };
+
+    if (darkTheme) {
+      const contrast = await checkTextContrast(page, { canvas });
+      details.colorScheme.contrast = { checked: contrast.checked, failingAACount: contrast.failingAACount };
+      if (contrast.checked > 0) tested.push('preferences.dark-low-contrast');
+      if (contrast.failingAACount > 0) {
+        issues.push({ id: 'preferences.dark-low-contrast', params: { count: contrast.failingAACount }, ...await describeContrastFailures(page, contrast) });
+      }
+    } else if (!darkByDefault && lightLuminance !== null) {
+      issues.push({ id: 'preferences.no-dark-theme' });
+    }
+
+    await emulatePreferences(page, [{ name: 'prefers-reduced-motion', value: 'reduce' }], keepState);
+    const motion = await page.evaluate(inspectMotion, MOTION_WATCH_MS);
+    details.reducedMotion = {
+      mediaRules: light.mediaRules.reducedMotion,
+      carousels: motion.carousels,
+      videos: motion.videos,
+      animations: motion.evidence.animations.elementsTotal,
+      autoplay: motion.evidence.autoplay.elementsTotal,
+      parallax: motion.evidence.parallax.elementsTotal
+    };
+
+    if (motion.evidence.animations.elementsTotal > 0) {
+      issues.push({ id: 'preferences.animations-not-reduced', params: { count: motion.evidence.animations.elementsTotal }, ...motion.evidence.animations });
+    }
+    if (motion.evidence.autoplay.elementsTotal > 0) {
+      issues.push({ id: 'preferences.autoplay-not-reduced', params: { count: motion.evidence.autoplay.elementsTotal }, ...motion.evidence.autoplay });
+    }
+    if (motion.evidence.parallax.elementsTotal > 0) {
+      issues.push({ id: 'preferences.parallax-not-reduced', params: { count: motion.evidence.parallax.elementsTotal }, ...motion.evidence.parallax });
+    }
+
+    // Nothing moving under reduced motion only says something when the page reacts to the
+    // setting; autoplay needs a carousel or a video to begin with
+    const moving = motion.evidence.animations.elementsTotal + motion.evidence.parallax.elementsTotal > 0;
+    if (light.mediaRules.reducedMotion > 0 || moving) {
+      tested.push('preferences.animations-not-reduced', 'preferences.parallax-not-reduced');
+    }
+    if (motion.carousels > 0 || motion.videos > 0) tested.push('preferences.autoplay-not-reduced');
+  } finally {
+    // Leave the page as the other checks and the screenshots expect it
+    await emulatePreferences(page, undefined, keepState);
+  }
+
+  return { issues, details, tested };
+}
+
+// Turn a check finding ({ id, params }) into a report issue with a rendered message.
+// Plain string findings (e.g. from older team checks) are kept as the message.
+function localizeIssue(issue, lang) {
+  if (typeof issue === 'string') {
+    return { id: null, params: {}, message: issue };
+  }
+  const params = issue.params || {};
+  return {
+    ...issue,
+    id: issue.id,
+    params,
+    message: issue.message || translateIssue(issue.id, params, lang)
+  };
+}
+
+// Registry of UX checks, in the order they run and appear in the report.
+// A check is { id, criterion, name: { ru, en }, weight, run(page, context) }
+// where run resolves to { issues, details, tested }. Criteria are scored from their issues by the
+// scoring profile (utils/scoring.js); a score returned by run is ignored. Optional wcag maps the
+// check's issue ids to the WCAG 2.2 criteria they relate to ({ 'brand.low-contrast': ['1.4.3'] }):
+// findings get tagged with them. The criteria count as checked for the issue ids in tested - the
+// ones the page had something to test for - or, when run doesn't return tested, whenever it runs.
+const checkRegistry = new Map();
+
+function registerCheck(check) {
+  if (!check || typeof check.id !== 'string' || !check.id) {
+    throw new Error('UX check must have a string id');
+  }
+  if (typeof check.run !== 'function') {
+    throw new Error(`UX check "${check.id}" must have a run function`);
+  }
+  if (checkRegistry.has(check.id)) {
+    throw new Error(`UX check "${check.id}" is already registered`);
+  }
+
+  const criterion = check.criterion || check.id;
+  checkRegistry.set(check.id, {
+    id: check.id,
+    criterion,
+    name: typeof check.name === 'string' ? { ru: check.name, en: check.name } : (check.name || { ru: criterion, en: criterion }),
+    weight: typeof check.weight === 'number' && check.weight >= 0 ? check.weight : 1,
+    // Optional (device) => boolean; in a device matrix audit the check only runs where it returns true
+    appliesTo: typeof check.appliesTo === 'function' ? check.appliesTo : null,
+    wcag: normalizeCriteriaMap(check.wcag, `UX check "${check.id}"`),
+    run: check.run
+  });
+}
+
+function listChecks() {
+  return Array.from(checkRegistry.values()).map(({ id, criterion, name, weight, wcag }) => ({
+    id,
+    criterion,
+    name,
+    weight,
+    wcag: Array.from(new Set(Object.values(wcag).flat())).sort()
+  }));
+}
+
+// Pick checks to run from `checks` (allow-list) and `exclude` (deny-list) id arrays
+function resolveChecks({ checks, exclude } = {}) {
+  const unknown = [...(checks || []), ...(exclude || [])].filter(id => !checkRegistry.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown UX checks: ${unknown.join(', ')}`);
+  }
+
+  return Array.from(checkRegistry.values()).filter(check => {
+    if (checks && checks.length > 0 && !checks.includes(check.id)) return false;
+    if (exclude && exclude.includes(check.id)) return false;
+    return true;
+  });
+}
+
+// Load team-specific checks: every .js file in the directory exports a check or an array of checks.
+// A file that fails to load or register is logged and skipped whole, so one broken team rule
+// doesn't take the built-in checks down with it; so is a missing directory.
+function loadChecksFromDirectory(dir) {
+  const fs = require('fs');
+  const path = require('path');
+  const resolvedDir = path.resolve(dir);
+
+  if (!fs.existsSync(resolvedDir)) {
+    console.error(`UX checks directory not found: ${resolvedDir}`);
+    return;
+  }
+
+  const files = fs.readdirSync(resolvedDir).filter(file => file.endsWith('.js')).sort();
+  files.forEach(file => {
+    const registered = [];
+    try {
+      const exported = require(path.join(resolvedDir, file));
+      const checks = Array.isArray(exported) ? exported : [exported];
+      checks.forEach(check => {
+        registerCheck(check);
+        registered.push(check.id);
+      });
+      console.log(`Loaded UX checks from ${file}: ${registered.join(', ')}`);
+    } catch (err) {
+      registered.forEach(id => checkRegistry.delete(id));
+      console.error(`Skipped UX checks from ${file}: ${err.message}`);
+    }
+  });
+}
 
-  const score = issues.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 20));
-  return { issues, score, details };
+// First, so it measures the page as loaded, before other checks reload or resize it
+registerCheck({
+  id: 'loading',
+  criterion: 'Loading Experience',
+  name: { ru: 'Скорость загрузки и стабильность', en: 'Loading Experience' },
+  weight: 1,
+  run: checkLoadingExperience
+});
+registerCheck({
+  id: 'visual-hierarchy',
+  criterion: 'Visual Hierarchy',
+  name: { ru: 'Визуальная иерархия', en: 'Visual Hierarchy' },
+  weight: 1,
+  run: checkVisualHierarchy
+});
+registerCheck({
+  id: 'navigation',
+  criterion: 'Navigation',
+  name: { ru: 'Навигация', en: 'Navigation' },
+  weight: 1,
+  run: checkNavigation
+});
+registerCheck({
+  id: 'typography',
+  criterion: 'Typography & Readability',
+  name: { ru: 'Типографика и читаемость', en: 'Typography & Readability' },
+  weight: 1,
+  run: checkTypography
+});
+registerCheck({
+  id: 'interactivity',
+  criterion: 'Interactivity',
+  name: { ru: 'Интерактивность', en: 'Interactivity' },
+  weight: 1,
+  wcag: {
+    // Buttons under 44px; the AA minimum (2.5.8) is 24px
+    'interactivity.small-buttons': ['2.5.5'],
+    'interactivity.no-focus-styles': ['2.4.7']
+  },
+  run: checkInteractivity
+});
+registerCheck({
+  id: 'mobile-adaptation',
+  criterion: 'Mobile Adaptation',
+  name: { ru: 'Мобильная адаптивность', en: 'Mobile Adaptation' },
+  weight: 1,
+  // Phones and tablets; a desktop breakpoint has nothing to adapt
+  appliesTo: device => device.isMobile || device.hasTouch || device.width < 1024,
+  wcag: {
+    'mobile.horizontal-scroll': ['1.4.10']
+  },
+  run: checkMobileAdaptation
+});
+registerCheck({
+  id: 'accessibility',
+  criterion: 'Accessibility',
+  name: { ru: 'Доступность', en: 'Accessibility' },
+  weight: 1,
+  wcag: {
+    'accessibility.images-without-alt': ['1.1.1'],
+    'accessibility.no-main-landmark': ['1.3.1', '2.4.1'],
+    'accessibility.unlabeled-inputs': ['1.3.1', '3.3.2', '4.1.2'],
+    'accessibility.unlabeled-interactive': ['2.4.4', '4.1.2'],
+    'accessibility.low-contrast': ['1.4.3']
+  },
+  run: checkAccessibility
+});
+
+registerCheck({
+  id: 'keyboard',
+  criterion: 'Keyboard Navigation',
+  name: { ru: 'Клавиатурная навигация', en: 'Keyboard Navigation' },
+  weight: 1,
+  wcag: {
+    'keyboard.not-focusable': ['2.1.1'],
+    'keyboard.focus-trap': ['2.1.2'],
+    'keyboard.no-skip-link': ['2.4.1'],
+    'keyboard.broken-skip-link': ['2.4.1'],
+    'keyboard.order-mismatch': ['2.4.3'],
+    'keyboard.no-focus-indicator': ['2.4.7']
+  },
+  run: checkKeyboardNavigation
+});
+
+registerCheck({
+  id: 'forms',
+  criterion: 'Forms',
+  name: { ru: 'Формы', en: 'Forms' },
+  weight: 1,
+  wcag: {
+    'forms.missing-autocomplete': ['1.3.5'],
+    'forms.no-required-indicator': ['3.3.2'],
+    'forms.placeholder-as-label': ['3.3.2'],
+    'forms.unlinked-errors': ['3.3.1'],
+    'forms.unreachable-submit': ['2.1.1']
+  },
+  run: checkForms
+});
+
+registerCheck({
+  id: 'content',
+  criterion: 'Content Readability',
+  name: { ru: 'Читаемость контента', en: 'Content Readability' },
+  weight: 1,
+  wcag: {
+    'content.hard-to-read': ['3.1.5'],
+    'content.long-lines': ['1.4.8']
+  },
+  run: checkContent
+});
+
+registerCheck({
+  id: 'preferences',
+  criterion: 'User Preferences',
+  name: { ru: 'Пользовательские настройки', en: 'User Preferences' },
+  weight: 1,
+  wcag: {
+    'preferences.dark-low-contrast': ['1.4.3'],
+    'preferences.autoplay-not-reduced': ['2.2.2'],
+    'preferences.animations-not-reduced': ['2.3.3'],
+    'preferences.parallax-not-reduced': ['2.3.3']
+  },
+  run: checkUserPreferences
+});
+
+if (process.env.UX_CHECKS_DIR) {
+  loadChecksFromDirectory(process.env.UX_CHECKS_DIR);
 }
 
-module.exports = { runUXAudit };
+module.exports = {
+  runUXAudit,
+  registerCheck,
+  listChecks,
+  loadChecksFromDirectory,
+  resolveDevices,
+  listDevices,
+  // Building blocks for user flows (utils/flow.js)
+  PLATFORM_VIEWPORTS,
+  installPageHelpers,
+  resolveChecks,
+  runChecks,
+  summarizeCriteria
+};
 
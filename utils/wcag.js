@@ -0,0 +1,287 @@
+// WCAG 2.2 success criteria: tagging accessibility findings with the criteria they relate to,
+// and the conformance summary of an audit (which criteria were checked, passed, failed,
+// or can't be tested automatically).
+
+const WCAG_VERSION = '2.2';
+// Criteria up to this level are always listed in a conformance summary; AAA ones only when checked
+const TARGET_LEVEL = 'AA';
+const LEVELS = ['A', 'AA', 'AAA'];
+const PRINCIPLES = { 1: 'perceivable', 2: 'operable', 3: 'understandable', 4: 'robust' };
+
+// [id, name, level] of every WCAG 2.2 success criterion (4.1.1 Parsing was removed in 2.2)
+const SUCCESS_CRITERIA = [
+  ['1.1.1', 'Non-text Content', 'A'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A'],
+  ['1.2.4', 'Captions (Live)', 'AA'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA'],
+  ['1.3.1', 'Info and Relationships', 'A'],
+  ['1.3.2', 'Meaningful Sequence', 'A'],
+  ['1.3.3', 'Sensory Characteristics', 'A'],
+  ['1.3.4', 'Orientation', 'AA'],
+  ['1.3.5', 'Identify Input Purpose', 'AA'],
+  ['1.3.6', 'Identify Purpose', 'AAA'],
+  ['1.4.1', 'Use of Color', 'A'],
+  ['1.4.2', 'Audio Control', 'A'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA'],
+  ['1.4.4', 'Resize Text', 'AA'],
+  ['1.4.5', 'Images of Text', 'AA'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA'],
+  ['1.4.8', 'Visual Presentation', 'AAA'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA'],
+  ['1.4.10', 'Reflow', 'AA'],
+  ['1.4.11', 'Non-text Contrast', 'AA'],
+  ['1.4.12', 'Text Spacing', 'AA'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA'],
+  ['2.1.1', 'Keyboard', 'A'],
+  ['2.1.2', 'No Keyboard Trap', 'A'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA'],
+  ['2.1.4', 'Character Key Shortcuts', 'A'],
+  ['2.2.1', 'Timing Adjustable', 'A'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A'],
+  ['2.2.3', 'No Timing', 'AAA'],
+  ['2.2.4', 'Interruptions', 'AAA'],
+  ['2.2.5', 'Re-authenticating', 'AAA'],
+  ['2.2.6', 'Timeouts', 'AAA'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A'],
+  ['2.3.2', 'Three Flashes', 'AAA'],
+  ['2.3.3', 'Animation from Interactions', 'AAA'],
+  ['2.4.1', 'Bypass Blocks', 'A'],
+  ['2.4.2', 'Page Titled', 'A'],
+  ['2.4.3', 'Focus Order', 'A'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A'],
+  ['2.4.5', 'Multiple Ways', 'AA'],
+  ['2.4.6', 'Headings and Labels', 'AA'],
+  ['2.4.7', 'Focus Visible', 'AA'],
+  ['2.4.8', 'Location', 'AAA'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA'],
+  ['2.4.10', 'Section Headings', 'AAA'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA'],
+  ['2.4.13', 'Focus Appearance', 'AAA'],
+  ['2.5.1', 'Pointer Gestures', 'A'],
+  ['2.5.2', 'Pointer Cancellation', 'A'],
+  ['2.5.3', 'Label in Name', 'A'],
+  ['2.5.4', 'Motion Actuation', 'A'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA'],
+  ['2.5.7', 'Dragging Movements', 'AA'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA'],
+  ['3.1.1', 'Language of Page', 'A'],
+  ['3.1.2', 'Language of Parts', 'AA'],
+  ['3.1.3', 'Unusual Words', 'AAA'],
+  ['3.1.4', 'Abbreviations', 'AAA'],
+  ['3.1.5', 'Reading Level', 'AAA'],
+  ['3.1.6', 'Pronunciation', 'AAA'],
+  ['3.2.1', 'On Focus', 'A'],
+  ['3.2.2', 'On Input', 'A'],
+  ['3.2.3', 'Consistent Navigation', 'AA'],
+  ['3.2.4', 'Consistent Identification', 'AA'],
+  ['3.2.5', 'Change on Request', 'AAA'],
+  ['3.2.6', 'Consistent Help', 'A'],
+  ['3.3.1', 'Error Identification', 'A'],
+  ['3.3.2', 'Labels or Instructions', 'A'],
+  ['3.3.3', 'Error Suggestion', 'AA'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA'],
+  ['3.3.5', 'Help', 'AAA'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA'],
+  ['3.3.7', 'Redundant Entry', 'A'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA'],
+  ['4.1.2', 'Name, Role, Value', 'A'],
+  ['4.1.3', 'Status Messages', 'AA']
+].map(([id, name, level]) => ({ id, name, level, principle: PRINCIPLES[id[0]] }));
+
+const criteriaById = new Map(SUCCESS_CRITERIA.map(criterion => [criterion.id, criterion]));
+
+// Lighthouse (axe-core) accessibility audits and the criteria they test. Audits axe files under
+// best practices only (heading-order, tabindex, skip-link, ...) aren't listed.
+const LIGHTHOUSE_CRITERIA = {
+  'aria-allowed-attr': ['4.1.2'],
+  'aria-command-name': ['4.1.2'],
+  'aria-conditional-attr': ['4.1.2'],
+  'aria-deprecated-role': ['4.1.2'],
+  'aria-hidden-body': ['4.1.2'],
+  'aria-hidden-focus': ['4.1.2'],
+  'aria-input-field-name': ['4.1.2'],
+  'aria-meter-name': ['1.1.1'],
+  'aria-progressbar-name': ['1.1.1'],
+  'aria-prohibited-attr': ['4.1.2'],
+  'aria-required-attr': ['4.1.2'],
+  'aria-required-children': ['1.3.1'],
+  'aria-required-parent': ['1.3.1'],
+  'aria-roles': ['4.1.2'],
+  'aria-toggle-field-name': ['4.1.2'],
+  'aria-tooltip-name': ['4.1.2'],
+  'aria-valid-attr-value': ['4.1.2'],
+  'aria-valid-attr': ['4.1.2'],
+  'button-name': ['4.1.2'],
+  bypass: ['2.4.1'],
+  'color-contrast': ['1.4.3'],
+  'definition-list': ['1.3.1'],
+  dlitem: ['1.3.1'],
+  'document-title': ['2.4.2'],
+  'duplicate-id-aria': ['4.1.2'],
+  'form-field-multiple-labels': ['3.3.2'],
+  'frame-title': ['4.1.2'],
+  'html-has-lang': ['3.1.1'],
+  'html-lang-valid': ['3.1.1'],
+  'html-xml-lang-mismatch': ['3.1.1'],
+  'identical-links-same-purpose': ['2.4.9'],
+  'image-alt': ['1.1.1'],
+  'input-button-name': ['4.1.2'],
+  'input-image-alt': ['1.1.1'],
+  label: ['4.1.2'],
+  'label-content-name-mismatch': ['2.5.3'],
+  'link-in-text-block': ['1.4.1'],
+  'link-name': ['2.4.4', '4.1.2'],
+  list: ['1.3.1'],
+  listitem: ['1.3.1'],
+  'meta-refresh': ['2.2.1'],
+  'meta-viewport': ['1.4.4'],
+  'object-alt': ['1.1.1'],
+  'select-name': ['4.1.2'],
+  'table-fake-caption': ['1.3.1'],
+  'target-size': ['2.5.8'],
+  'td-has-header': ['1.3.1'],
+  'td-headers-attr': ['1.3.1'],
+  'th-has-data-cells': ['1.3.1'],
+  'valid-lang': ['3.1.2'],
+  'video-caption': ['1.2.2']
+};
+
+// Criteria some automated test (a UX check's WCAG mapping or a Lighthouse audit) can check.
+// Filled in as UX checks are registered; the rest need manual review.
+const automatable = new Set(Object.values(LIGHTHOUSE_CRITERIA).flat());
+
+// Validate a { [issueId]: [criterion ids] } mapping declared by a UX check; throws on unknown criteria
+function normalizeCriteriaMap(map, where) {
+  if (map === undefined || map === null) return {};
+  if (typeof map !== 'object' || Array.isArray(map)) {
+    throw new Error(`${where}: wcag must map issue ids to WCAG criteria`);
+  }
+  Object.entries(map).forEach(([issueId, ids]) => {
+    if (!Array.isArray(ids)) {
+      throw new Error(`${where}: wcag.${issueId} must be an array of WCAG criteria`);
+    }
+    const unknown = ids.filter(id => !criteriaById.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: wcag.${issueId} lists unknown WCAG ${WCAG_VERSION} criteria: ${unknown.join(', ')}`);
+    }
+    ids.forEach(id => automatable.add(id));
+  });
+  return map;
+}
+
+function describe(ids) {
+  return ids.filter(id => criteriaById.has(id)).map(id => ({ ...criteriaById.get(id) }));
+}
+
+// Tag UX issues with their criteria: from the check's mapping, or ids the issue lists itself
+// (issue.wcag: ['1.4.11']). Issues unrelated to WCAG are left as they are.
+function tagIssues(issues, criteriaMap = {}) {
+  return issues.map(issue => {
+    const ids = Array.isArray(issue.wcag) && issue.wcag.every(id => typeof id === 'string')
+      ? issue.wcag
+      : criteriaMap[issue.id];
+    return ids && ids.length > 0 ? { ...issue, wcag: describe(ids) } : issue;
+  });
+}
+
+// WCAG criteria a check actually tested on the page: those its mapping relates to the issue ids
+// it reports as tested, or all of them when it doesn't report any (tested undefined)
+function testedCriteria(criteriaMap = {}, tested) {
+  const issueIds = Array.isArray(tested) ? tested.filter(id => criteriaMap[id]) : Object.keys(criteriaMap);
+  return Array.from(new Set(issueIds.flatMap(id => criteriaMap[id]))).sort();
+}
+
+// Tag Lighthouse accessibility issues (see extractCategoryDetails) with their criteria
+function tagLighthouseIssues(issues) {
+  return issues.map(issue => (LIGHTHOUSE_CRITERIA[issue.id] ? { ...issue, wcag: describe(LIGHTHOUSE_CRITERIA[issue.id]) } : issue));
+}
+
+// Build the conformance summary from the criteria that were checked ({ checked: Set of ids })
+// and the findings ([{ source, id, wcag: [{ id }] }]). Status of each criterion:
+//   failed - a finding relates to it; passed - checked without findings (automated tests can't
+//   prove conformance, so a manual review still applies); not-checked - an automated test exists
+//   but didn't run (excluded check, Lighthouse not run, nothing on the page to test);
+//   manual - no automated test covers it.
+function buildConformance(checked, findings) {
+  const failures = new Map();
+  findings.forEach(finding => {
+    (finding.wcag || []).forEach(({ id }) => {
+      if (!failures.has(id)) failures.set(id, []);
+      if (!failures.get(id).includes(finding.id)) failures.get(id).push(finding.id);
+    });
+  });
+
+  const targetRank = LEVELS.indexOf(TARGET_LEVEL);
+  const criteria = SUCCESS_CRITERIA
+    .filter(criterion => LEVELS.indexOf(criterion.level) <= targetRank || checked.has(criterion.id) || failures.has(criterion.id))
+    .map(criterion => {
+      let status = 'manual';
+      if (failures.has(criterion.id)) status = 'failed';
+      else if (checked.has(criterion.id)) status = 'passed';
+      else if (automatable.has(criterion.id)) status = 'not-checked';
+      return { ...criterion, status, findings: failures.get(criterion.id) || [] };
+    });
+
+  const count = status => criteria.filter(criterion => criterion.status === status).length;
+  return {
+    version: WCAG_VERSION,
+    level: TARGET_LEVEL,
+    summary: {
+      checked: count('passed') + count('failed'),
+      passed: count('passed'),
+      failed: count('failed'),
+      notChecked: count('not-checked'),
+      manual: count('manual')
+    },
+    criteria
+  };
+}
+
+// Conformance summary of UX criteria; each lists the WCAG criteria its check tested (wcagTested)
+function summarizeUXConformance(criteria) {
+  const checked = new Set(criteria.flatMap(criterion => criterion.wcagTested || []));
+  const findings = criteria.flatMap(criterion => criterion.issues
+    .filter(issue => issue.wcag)
+    .map(issue => ({ source: 'ux', id: issue.id || criterion.id, wcag: issue.wcag })));
+  findings.forEach(finding => finding.wcag.forEach(({ id }) => checked.add(id)));
+  return buildConformance(checked, findings);
+}
+
+// Conformance summary of a Lighthouse result. An audit checks its criteria when it ran and
+// applied to the page (binary score); manual and not-applicable audits don't count.
+function summarizeLighthouseConformance(lhr) {
+  const checked = new Set();
+  const findings = [];
+  Object.entries(LIGHTHOUSE_CRITERIA).forEach(([auditId, ids]) => {
+    const audit = lhr.audits[auditId];
+    if (!audit || audit.scoreDisplayMode !== 'binary' || audit.score === null) return;
+    ids.forEach(id => checked.add(id));
+    if (audit.score < 1) {
+      findings.push({ source: 'lighthouse', id: auditId, wcag: describe(ids) });
+    }
+  });
+  return buildConformance(checked, findings);
+}
+
+module.exports = {
+  WCAG_VERSION,
+  SUCCESS_CRITERIA,
+  LIGHTHOUSE_CRITERIA,
+  normalizeCriteriaMap,
+  tagIssues,
+  testedCriteria,
+  tagLighthouseIssues,
+  buildConformance,
+  summarizeUXConformance,
+  summarizeLighthouseConformance
+};